@@ -1,10 +1,45 @@
 import AudioService from './services/AudioService.js';
+import AudiobookService from './services/AudiobookService.js';
 import VoiceService from './services/VoiceService.js';
+import SubtitleService from './services/SubtitleService.js';
+import HistoryService from './services/HistoryService.js';
+import LexiconService from './services/LexiconService.js';
+import NormalizationService from './services/NormalizationService.js';
+import PacingService from './services/PacingService.js';
+import BlendService from './services/BlendService.js';
+import CacheService from './services/CacheService.js';
+import PresetService from './services/PresetService.js';
+import ProjectService from './services/ProjectService.js';
 import PlayerState from './state/PlayerState.js';
 import PlayerControls from './components/PlayerControls.js';
 import VoiceSelector from './components/VoiceSelector.js';
 import WaveVisualizer from './components/WaveVisualizer.js';
 import TextEditor from './components/TextEditor.js';
+import { MAX_REQUEST_CHARS, splitIntoChunks } from './utils/text.js';
+import { LANGUAGES, getVoiceLanguage } from './utils/languages.js';
+import { parseDialogue } from './utils/dialogue.js';
+import { hasMarkup, compileMarkup, MIN_SPEED, MAX_SPEED } from './utils/markup.js';
+import { encodeState, decodeState } from './utils/shareState.js';
+import ReadAlong from './components/ReadAlong.js';
+import HistoryPanel from './components/HistoryPanel.js';
+import LexiconPanel from './components/LexiconPanel.js';
+import NormalizationPanel from './components/NormalizationPanel.js';
+import DialogueCast from './components/DialogueCast.js';
+import BlendPanel from './components/BlendPanel.js';
+import ComparePanel from './components/ComparePanel.js';
+import PresetPanel from './components/PresetPanel.js';
+import ProjectPanel from './components/ProjectPanel.js';
+import ImportPanel from './components/ImportPanel.js';
+import ChapterPanel from './components/ChapterPanel.js';
+
+// Links longer than this get cut off by some chat apps and mail clients
+const MAX_SHARE_URL_LENGTH = 8000;
+
+// Quiet period after an edit before the project is written to local storage
+const AUTOSAVE_DELAY = 500;
+
+// Playback engine depends on the browser rather than the project, so it is kept per device
+const PLAYBACK_KEY = 'kokoro-studio.playback';
 
 export class App {
     constructor() {
@@ -15,6 +50,20 @@ export class App {
             downloadBtn: document.getElementById('download-btn'),
             autoplayToggle: document.getElementById('autoplay-toggle'),
             formatSelect: document.getElementById('format-select'),
+            captionsToggle: document.getElementById('captions-toggle'),
+            longFormToggle: document.getElementById('longform-toggle'),
+            languageSelect: document.getElementById('language-select'),
+            languageWarning: document.getElementById('language-warning'),
+            playbackSelect: document.getElementById('playback-select'),
+            playbackWarning: document.getElementById('playback-warning'),
+            dialogueToggle: document.getElementById('dialogue-toggle'),
+            dialogueOptions: document.getElementById('dialogue-options'),
+            dialogueGap: document.getElementById('dialogue-gap'),
+            subtitleOptions: document.getElementById('subtitle-options'),
+            subtitleMaxChars: document.getElementById('subtitle-max-chars'),
+            subtitleMaxDuration: document.getElementById('subtitle-max-duration'),
+            downloadSrtBtn: document.getElementById('download-srt-btn'),
+            downloadVttBtn: document.getElementById('download-vtt-btn'),
             status: document.getElementById('status'),
             cancelBtn: document.getElementById('cancel-btn'),
             charCount: document.getElementById('char-count'),
@@ -28,63 +77,234 @@ export class App {
     async initialize() {
         this.playerState = new PlayerState();
         this.audioService = new AudioService();
+        this.audiobookService = new AudiobookService();
         this.voiceService = new VoiceService();
+        this.subtitleService = new SubtitleService();
+        this.historyService = new HistoryService();
+        this.cacheService = new CacheService();
+        this.pacingService = new PacingService();
+        this.progressTimer = null;
+        this.firstAudio = null; // Seconds until the last generation's first audio, for the completion message
+        this.lexiconService = new LexiconService();
+        this.normalizationService = new NormalizationService();
+        this.blendService = new BlendService();
+        this.presetService = new PresetService();
+        this.projectService = new ProjectService();
+        this.autosaveTimer = null;
+        this.projectLoaded = false;
+        this.audioService.setNormalizationOptions(this.normalizationService.getOptions());
+        this.currentGeneration = null; // Settings of the clip being generated, for history
 
         this.playerControls = new PlayerControls(this.audioService, this.playerState);
-        this.voiceSelector = new VoiceSelector(this.voiceService);
-        this.waveVisualizer = new WaveVisualizer(this.playerState);
+        this.voiceSelector = new VoiceSelector(this.voiceService, {
+            onSelectionChange: (voices) => {
+                this.updateLanguage(voices);
+                this.scheduleAutosave();
+            }
+        });
+        this.setupLanguageSelect();
+        this.setupPlaybackSelect();
+        this.waveVisualizer = new WaveVisualizer(this.playerState, this.audioService);
 
         const editorContainer = document.getElementById('text-editor');
         this.textEditor = new TextEditor(editorContainer, {
             linesPerPage: 20,
             onTextChange: (text) => {
-                if (this.elements.charCount) {
-                    this.elements.charCount.textContent = `Characters: ${text.length} / 750`;
-                    this.elements.charCount.classList.toggle('warning', text.length > 700 && text.length <= 750);
-                    this.elements.charCount.classList.toggle('over-limit', text.length > 750);
-                }
-                if (this.elements.generateBtn) {
-                    this.elements.generateBtn.disabled = text.length > 750;
-                }
+                this.updateCharCount(text);
+                this.scheduleAutosave();
+            },
+            onFileSelected: (file) => {
+                if (this.importPanel.open(file)) this.setDrawerOpen('import-drawer', true);
             }
         });
 
+        this.readAlong = new ReadAlong(document.getElementById('read-along'), this.audioService);
+        this.historyPanel = new HistoryPanel(document.getElementById('history-panel'), this.historyService, this.cacheService, {
+            onDownload: (url, filename) => this.saveFile(url, filename),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.dialogueCast = new DialogueCast(document.getElementById('dialogue-cast'), this.voiceService, this.blendService);
+        this.blendPanel = new BlendPanel(document.getElementById('saved-blends'), this.blendService, this.voiceService, {
+            onApply: (blend) => this.applyBlend(blend),
+            onChange: () => this.dialogueCast.render(),
+            onDownload: (url, filename) => this.saveFile(url, filename),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.comparePanel = new ComparePanel(document.getElementById('compare-panel'), this.audioService, this.voiceService, this.blendService, {
+            getScript: () => this.textEditor.getText(),
+            getSpeed: () => this.playerState.getState().speed,
+            onPick: (candidate) => this.applyCandidate(candidate),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.normalizationPanel = new NormalizationPanel(document.getElementById('normalization-panel'), this.normalizationService, this.voiceService, {
+            onChange: (options) => this.audioService.setNormalizationOptions(options),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.presetPanel = new PresetPanel(document.getElementById('preset-panel'), this.presetService, {
+            getSettings: () => this.getSettings(),
+            onApply: (preset) => this.applyPreset(preset),
+            onShare: () => this.copyShareLink(),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.importPanel = new ImportPanel(document.getElementById('import-panel'), {
+            onImport: (sections, file, metadata) => this.importSections(sections, file, metadata),
+            onCancel: () => this.setDrawerOpen('import-drawer', false),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.chapterPanel = new ChapterPanel(document.getElementById('chapter-panel'), this.audioService, this.audiobookService, {
+            getSections: () => this.textEditor.getSections(),
+            buildSegments: (text) => this.buildSegments(
+                text, this.voiceService.getSelectedVoiceString(), this.playerState.getState().speed
+            ),
+            getFormat: () => this.elements.formatSelect.value,
+            getVoice: () => this.voiceService.getSelectedVoiceString(),
+            getTitle: () => this.projectService.getActiveProject().name,
+            onDownload: (url, filename) => this.saveFile(url, filename),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.projectPanel = new ProjectPanel(document.getElementById('project-panel'), this.projectService, {
+            onCreate: (name) => this.createProject(name),
+            onSwitch: (id) => this.switchProject(id),
+            onDelete: (id) => this.deleteProject(id),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+        this.lexiconPanel = new LexiconPanel(document.getElementById('lexicon-panel'), this.lexiconService, this.voiceService, {
+            onDownload: (url, filename) => this.saveFile(url, filename),
+            onStatus: (message, type) => this.showStatus(message, type)
+        });
+
         const voicesLoaded = await this.voiceSelector.initialize();
         if (!voicesLoaded) {
             this.showStatus('Failed to load voices', 'error');
             this.elements.generateBtn.disabled = true;
             return;
         }
+        this.textEditor.setKnownVoices(this.voiceService.getAvailableVoices());
 
         this.setupEventListeners();
         this.setupAudioEvents();
+        this.loadProject(this.projectService.getActiveProject());
+        if (this.textEditor.getText()) {
+            this.showStatus(`Restored draft of "${this.projectService.getActiveProject().name}"`, 'info');
+        }
+        await this.restoreFromUrl();
     }
 
     setupEventListeners() {
         this.elements.generateBtn.addEventListener('click', () => this.generateSpeech());
         this.elements.downloadBtn.addEventListener('click', () => this.downloadAudio());
 
+        this.elements.longFormToggle.addEventListener('change', (e) => {
+            this.textEditor.setMaxChars(e.target.checked ? null : MAX_REQUEST_CHARS);
+            this.updateCharCount(this.textEditor.getText());
+        });
+
+        this.elements.dialogueToggle.addEventListener('change', (e) => {
+            this.elements.dialogueOptions.style.display = e.target.checked ? 'flex' : 'none';
+            this.updateCharCount(this.textEditor.getText());
+        });
+
+        this.elements.captionsToggle.addEventListener('change', (e) => {
+            this.audioService.setCaptionsMode(e.target.checked);
+            this.readAlong.setVisible(e.target.checked);
+            this.elements.subtitleOptions.style.display = e.target.checked ? 'flex' : 'none';
+        });
+
+        this.setupDrawers();
+
+        this.elements.downloadSrtBtn.addEventListener('click', () => this.downloadSubtitles('srt'));
+        this.elements.downloadVttBtn.addEventListener('click', () => this.downloadSubtitles('vtt'));
+
         this.elements.cancelBtn.addEventListener('click', () => {
             this.audioService.cancel();
             this.setGenerating(false);
             this.elements.downloadBtn.classList.remove('ready');
             this.elements.downloadBtn.disabled = true;
+            this.setSubtitlesReady(false);
             this.showStatus('Generation cancelled', 'info');
         });
 
+        // A shared link pasted into an open tab only changes the hash
+        window.addEventListener('hashchange', () => this.restoreFromUrl());
+
+        // Settings edits anywhere in the studio are saved with the project
+        document.querySelector('.studio-main').addEventListener('change', () => this.scheduleAutosave());
+        document.querySelector('.studio-main').addEventListener('input', () => this.scheduleAutosave());
+        this.elements.autoplayToggle.addEventListener('change', () => this.scheduleAutosave());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveProject();
+        });
+
         window.addEventListener('beforeunload', () => {
+            this.saveProject();
             this.audioService.cleanup();
             this.playerControls.cleanup();
             this.waveVisualizer.cleanup();
+            this.historyPanel.cleanup();
+            this.lexiconPanel.cleanup();
+            this.normalizationPanel.cleanup();
+            this.comparePanel.cleanup();
+            this.chapterPanel.cleanup();
         });
     }
 
+    setupDrawers() {
+        document.querySelectorAll('[data-drawer-target]').forEach(button => {
+            button.addEventListener('click', () => {
+                const drawer = document.getElementById(button.dataset.drawerTarget);
+                this.setDrawerOpen(drawer.id, !drawer.classList.contains('open'));
+            });
+        });
+
+        document.querySelectorAll('[data-close-drawer]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setDrawerOpen(button.closest('.studio-drawer').id, false);
+            });
+        });
+    }
+
+    setDrawerOpen(id, open) {
+        const drawerOpened = {
+            'history-drawer': () => this.historyPanel.refresh(),
+            'projects-drawer': () => this.projectPanel.render(),
+            'chapters-drawer': () => this.chapterPanel.open(),
+            'compare-drawer': () => this.comparePanel.open()
+        };
+
+        // Only one drawer at a time
+        if (open) {
+            document.querySelectorAll('.studio-drawer.open').forEach(d => d.classList.remove('open'));
+            document.querySelectorAll('[data-drawer-target].active').forEach(b => b.classList.remove('active'));
+        }
+
+        const drawer = document.getElementById(id);
+        drawer.classList.toggle('open', open);
+        document.querySelector(`[data-drawer-target="${id}"]`)?.classList.toggle('active', open);
+        if (open) {
+            drawerOpened[id]?.();
+        }
+    }
+
     setupAudioEvents() {
         this.audioService.addEventListener('bufferError', () => {
             this.showStatus('Processing… download ready when complete', 'info');
         });
 
+        this.audioService.addEventListener('segment', ({ index, total }) => {
+            this.showStatus(`Generating part ${index + 1} of ${total}…`, 'info');
+        });
+
+        this.audioService.addEventListener('retry', ({ attempt, maxAttempts, delay, reason }) => {
+            this.showStatus(`${reason} — retrying in ${Math.round(delay / 1000)}s (${attempt} of ${maxAttempts})…`, 'info');
+        });
+
+        this.audioService.addEventListener('resume', () => {
+            this.showStatus('Reconnected — continuing from the last full sentence', 'success');
+        });
+
         this.audioService.addEventListener('complete', () => {
+            this.firstAudio = this.pacingService.update()?.firstAudio ?? null;
+            this.pacingService.finish();
             this.setGenerating(false);
             this.showStatus('Preparing file…', 'info');
         });
@@ -92,8 +312,18 @@ export class App {
         this.audioService.addEventListener('downloadReady', () => {
             this.elements.downloadBtn.classList.add('ready');
             this.elements.downloadBtn.disabled = false;
+            this.setSubtitlesReady(this.audioService.getWordTimestamps().length > 0);
+            const cached = this.currentGeneration?.cached;
+            this.saveGeneration();
+            const firstAudio = this.firstAudio;
             setTimeout(() => {
-                this.showStatus('Generation complete', 'success');
+                if (cached) {
+                    this.showStatus('Played from cache', 'success');
+                } else {
+                    this.showStatus(firstAudio === null
+                        ? 'Generation complete'
+                        : `Generation complete · first audio in ${firstAudio.toFixed(1)}s`, 'success');
+                }
             }, 400);
         });
 
@@ -132,7 +362,362 @@ export class App {
         }, 5000);
     }
 
+    setupLanguageSelect() {
+        const select = this.elements.languageSelect;
+        Object.entries(LANGUAGES).forEach(([code, name]) => {
+            select.add(new Option(name, code));
+        });
+        select.addEventListener('change', () => {
+            this.audioService.setLanguage(select.value);
+            this.updateLanguage(this.voiceService.getSelectedVoices());
+        });
+    }
+
+    setupPlaybackSelect() {
+        const select = this.elements.playbackSelect;
+        try {
+            const stored = localStorage.getItem(PLAYBACK_KEY);
+            if ([...select.options].some(option => option.value === stored)) {
+                select.value = stored;
+            }
+        } catch (error) {
+            console.warn('Failed to load playback engine:', error);
+        }
+
+        const apply = () => {
+            this.audioService.setPlaybackEngine(select.value);
+            this.updatePlaybackWarning();
+        };
+        select.addEventListener('change', () => {
+            apply();
+            try {
+                localStorage.setItem(PLAYBACK_KEY, select.value);
+            } catch (error) {
+                console.warn('Failed to save playback engine:', error);
+            }
+        });
+        apply();
+    }
+
+    updatePlaybackWarning() {
+        let warning = '';
+        if (!window.AudioWorkletNode && !window.MediaSource) {
+            warning = 'This browser can\'t stream audio here — open the studio over https.';
+        } else if (this.elements.playbackSelect.value === 'pcm' && !window.AudioWorkletNode) {
+            warning = 'Low-latency playback needs a secure (https) connection — using streaming MP3.';
+        }
+        this.elements.playbackWarning.textContent = warning;
+        this.elements.playbackWarning.style.display = warning ? 'block' : 'none';
+    }
+
+    /**
+     * Show which language Auto resolves to and warn when the mix spans languages
+     * @param {string[]} voices - Selected voice IDs
+     */
+    updateLanguage(voices) {
+        const languages = [...new Set(voices.map(getVoiceLanguage).filter(Boolean))];
+        const autoOption = this.elements.languageSelect.options[0];
+        autoOption.textContent = languages.length > 0
+            ? `Auto (${LANGUAGES[languages[0]]})`
+            : 'Auto (from voice)';
+
+        let warning = '';
+        if (languages.length > 1) {
+            const names = languages.map(code => LANGUAGES[code]).join(', ');
+            warning = this.elements.languageSelect.value
+                ? `Mixing ${names} voices — text is read as ${LANGUAGES[this.elements.languageSelect.value]}.`
+                : `Mixing ${names} voices — text is read as ${LANGUAGES[languages[0]]}. Pick a language to choose.`;
+        }
+        this.elements.languageWarning.textContent = warning;
+        this.elements.languageWarning.style.display = warning ? 'block' : 'none';
+    }
+
+    /**
+     * Language text for a voice will be phonemized as
+     * @param {string} voice - Voice string
+     * @returns {string|null}
+     */
+    getLanguage(voice) {
+        return this.elements.languageSelect.value || getVoiceLanguage(voice);
+    }
+
+    applyBlend(blend) {
+        const missing = this.voiceService.setSelectedVoices(blend.voices);
+        this.voiceSelector.refresh();
+        if (missing.length > 0) {
+            this.showStatus(`"${blend.name}" applied without unavailable voices: ${missing.join(', ')}`, 'error');
+        } else {
+            this.showStatus(`Using blend "${blend.name}"`, 'success');
+        }
+    }
+
+    applyCandidate(candidate) {
+        if (candidate.key !== 'mix') {
+            this.voiceService.setSelectedVoices(candidate.weights);
+            this.voiceSelector.refresh();
+        }
+        this.showStatus(`Now using ${candidate.label}`, 'success');
+    }
+
+    /**
+     * Configuration carried by presets and shared links
+     * @returns {Object}
+     */
+    getSettings() {
+        return {
+            voices: this.voiceService.getSelectedVoiceWeights(),
+            speed: this.playerState.getState().speed,
+            format: this.elements.formatSelect.value,
+            autoplay: this.elements.autoplayToggle.checked,
+            language: this.elements.languageSelect.value,
+            longForm: this.isLongForm(),
+            dialogue: this.isDialogueMode()
+        };
+    }
+
+    /**
+     * Apply settings from getSettings, skipping anything missing or invalid
+     * @param {Object} settings
+     * @returns {string[]} Voices that are not available on this server
+     */
+    applySettings(settings) {
+        let missing = [];
+        if (!settings || typeof settings !== 'object') return missing;
+
+        // Settings can come from a link anyone wrote, only well-formed voice entries are used
+        const voices = Array.isArray(settings.voices)
+            ? settings.voices.filter(entry => entry && typeof entry.voice === 'string' &&
+                typeof entry.weight === 'number' && isFinite(entry.weight))
+            : [];
+        if (voices.length > 0) {
+            missing = this.voiceService.setSelectedVoices(voices.map(({ voice, weight, locked }) => ({
+                voice, weight, locked: locked === true
+            })));
+            this.voiceSelector.refresh();
+        }
+        if (typeof settings.speed === 'number' && isFinite(settings.speed)) {
+            this.playerState.setSpeed(Math.min(MAX_SPEED, Math.max(MIN_SPEED, settings.speed)));
+        }
+        if ([...this.elements.formatSelect.options].some(option => option.value === settings.format)) {
+            this.elements.formatSelect.value = settings.format;
+        }
+        if (typeof settings.autoplay === 'boolean') {
+            this.elements.autoplayToggle.checked = settings.autoplay;
+        }
+        if (typeof settings.language === 'string' && (settings.language === '' || settings.language in LANGUAGES)) {
+            this.elements.languageSelect.value = settings.language;
+            this.audioService.setLanguage(settings.language);
+            this.updateLanguage(this.voiceService.getSelectedVoices());
+        }
+
+        // Toggles go through their change handlers so dependent UI follows
+        [[this.elements.longFormToggle, settings.longForm], [this.elements.dialogueToggle, settings.dialogue]]
+            .filter(([toggle, value]) => typeof value === 'boolean' && toggle.checked !== value)
+            .forEach(([toggle, value]) => {
+                toggle.checked = value;
+                toggle.dispatchEvent(new Event('change'));
+            });
+        return missing;
+    }
+
+    applyPreset(preset) {
+        const missing = this.applySettings(preset.settings);
+        if (missing.length > 0) {
+            this.showStatus(`"${preset.name}" applied without unavailable voices: ${missing.join(', ')}`, 'error');
+        } else {
+            this.showStatus(`Using preset "${preset.name}"`, 'success');
+        }
+    }
+
+    async copyShareLink() {
+        try {
+            const state = await encodeState({ ...this.getSettings(), text: this.textEditor.getText() });
+            const url = `${location.origin}${location.pathname}${location.search}#state=${state}`;
+            await navigator.clipboard.writeText(url);
+            if (url.length > MAX_SHARE_URL_LENGTH) {
+                this.showStatus('Link copied — it is long enough that some apps may cut it off', 'info');
+            } else {
+                this.showStatus('Link copied', 'success');
+            }
+        } catch (error) {
+            this.showStatus('Could not copy link: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Restore a session shared through copyShareLink, in a project of its own
+     */
+    async restoreFromUrl() {
+        const match = /^#state=(.+)$/.exec(location.hash);
+        if (!match) return;
+
+        try {
+            const state = await decodeState(match[1]);
+            const { text, ...settings } = state;
+            this.saveProject();
+            const project = this.projectService.createProject('Shared session', {
+                text: typeof text === 'string' ? text : '',
+                settings
+            });
+            const missing = this.openProject(project.id);
+            if (missing.length > 0) {
+                this.showStatus(`Shared session opened without unavailable voices: ${missing.join(', ')}`, 'error');
+            } else {
+                this.showStatus('Shared session opened', 'success');
+            }
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+
+        // Drop the state from the address bar so later edits aren't mistaken for the shared version
+        history.replaceState(null, '', location.pathname + location.search);
+    }
+
+    importSections(sections, file, metadata = {}) {
+        this.textEditor.setSections(sections);
+        this.chapterPanel.setMetadata(metadata);
+        const text = this.textEditor.getText();
+        // Imported documents are usually past the single-request limit
+        if (text.length > MAX_REQUEST_CHARS && !this.isLongForm() && !this.isDialogueMode()) {
+            this.elements.longFormToggle.checked = true;
+            this.elements.longFormToggle.dispatchEvent(new Event('change'));
+        }
+        this.updateCharCount(text);
+        this.scheduleAutosave();
+        this.setDrawerOpen('import-drawer', false);
+        this.showStatus(`Imported ${file.name}`, 'success');
+    }
+
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.saveProject(), AUTOSAVE_DELAY);
+    }
+
+    /**
+     * Write the editor text and settings to the active project
+     */
+    saveProject() {
+        clearTimeout(this.autosaveTimer);
+        // Nothing to save before the project is loaded into the editor
+        if (!this.projectLoaded) return;
+        try {
+            const sections = this.textEditor.hasSections() ? this.textEditor.getSections() : null;
+            this.projectService.updateProject(this.projectService.activeId, {
+                text: sections ? undefined : this.textEditor.getText(),
+                sections,
+                settings: this.getSettings()
+            });
+        } catch (error) {
+            this.showStatus('Could not save draft: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Put a project's text and settings into the studio
+     * @returns {string[]} Voices that are not available on this server
+     */
+    loadProject(project) {
+        this.projectLoaded = false;
+        try {
+            const missing = project.settings ? this.applySettings(project.settings) : [];
+            if (project.sections) {
+                this.textEditor.setSections(project.sections);
+            } else {
+                this.textEditor.setText(project.text);
+            }
+            this.updateCharCount(this.textEditor.getText());
+            this.projectPanel.render();
+            return missing;
+        } finally {
+            // A project that fails to load must not switch autosave off for the session
+            this.projectLoaded = true;
+        }
+    }
+
+    /**
+     * Make a project active and load it
+     * @returns {string[]} Voices that are not available on this server
+     */
+    openProject(id) {
+        this.projectService.setActive(id);
+        return this.loadProject(this.projectService.getActiveProject());
+    }
+
+    createProject(name) {
+        this.saveProject();
+        // New projects start from the current settings with an empty script
+        const project = this.projectService.createProject(name, { settings: this.getSettings() });
+        this.openProject(project.id);
+        this.showStatus(`Created "${project.name}"`, 'success');
+    }
+
+    switchProject(id) {
+        this.saveProject();
+        const missing = this.openProject(id);
+        const name = this.projectService.getActiveProject().name;
+        if (missing.length > 0) {
+            this.showStatus(`Opened "${name}" without unavailable voices: ${missing.join(', ')}`, 'error');
+        } else {
+            this.showStatus(`Opened "${name}"`, 'success');
+        }
+    }
+
+    deleteProject(id) {
+        const project = this.projectService.getProject(id);
+        if (!project) return;
+        if (project.text.trim() && !confirm(`Delete "${project.name}" and its script?`)) return;
+
+        this.saveProject();
+        if (this.projectService.removeProject(id)) {
+            this.loadProject(this.projectService.getActiveProject());
+        } else {
+            this.projectPanel.render();
+        }
+        this.showStatus(`Deleted "${project.name}"`, 'info');
+    }
+
+    isLongForm() {
+        return this.elements.longFormToggle.checked;
+    }
+
+    isDialogueMode() {
+        return this.elements.dialogueToggle.checked;
+    }
+
+    updateCharCount(text) {
+        if (this.isDialogueMode()) {
+            this.dialogueCast.setSpeakers(parseDialogue(text).speakers);
+        }
+
+        // Dialogue turns are generated one request at a time, so they aren't bound by the limit either
+        const longForm = this.isLongForm() || this.isDialogueMode();
+        if (this.elements.charCount) {
+            if (longForm) {
+                const requests = this.isDialogueMode()
+                    ? parseDialogue(text).turns.reduce((sum, turn) => sum + splitIntoChunks(turn.text).length, 0)
+                    : (text.trim() ? splitIntoChunks(text).length : 0);
+                this.elements.charCount.textContent =
+                    `Characters: ${text.length} · ${requests} request${requests === 1 ? '' : 's'}`;
+            } else {
+                this.elements.charCount.textContent = `Characters: ${text.length} / ${MAX_REQUEST_CHARS}`;
+            }
+            this.elements.charCount.classList.toggle('warning',
+                !longForm && text.length > MAX_REQUEST_CHARS - 50 && text.length <= MAX_REQUEST_CHARS);
+            this.elements.charCount.classList.toggle('over-limit', !longForm && text.length > MAX_REQUEST_CHARS);
+        }
+        if (this.elements.generateBtn && !this.playerState.getState().isGenerating) {
+            this.elements.generateBtn.disabled = !longForm && text.length > MAX_REQUEST_CHARS;
+        }
+    }
+
     setGenerating(isGenerating) {
+        if (!isGenerating) {
+            // Cancelled or failed generations aren't learned from; finished ones were recorded on completion
+            this.pacingService.finish(false);
+            clearInterval(this.progressTimer);
+            this.progressTimer = null;
+            this.waveVisualizer.showProgressDetail(null);
+        }
         this.playerState.setGenerating(isGenerating);
         this.elements.generateBtn.disabled = isGenerating;
         this.elements.generateBtn.classList.toggle('loading', isGenerating);
@@ -145,8 +730,12 @@ export class App {
             this.showStatus('Please enter some text', 'error');
             return false;
         }
-        if (text.length > 750) {
-            this.showStatus('Input must be 750 characters or fewer', 'error');
+        if (this.isDialogueMode() && parseDialogue(text).turns.length === 0) {
+            this.showStatus('Dialogue mode needs lines like "Name: text"', 'error');
+            return false;
+        }
+        if (text.length > MAX_REQUEST_CHARS && !this.isLongForm() && !this.isDialogueMode()) {
+            this.showStatus(`Input must be ${MAX_REQUEST_CHARS} characters or fewer — enable Long-form for longer scripts`, 'error');
             return false;
         }
         if (!this.voiceService.hasSelectedVoices()) {
@@ -163,20 +752,107 @@ export class App {
         const voice = this.voiceService.getSelectedVoiceString();
         const speed = this.playerState.getState().speed;
 
+        // Dialogue and markup need per-segment voices, speeds and silence
+        if (this.isDialogueMode() || hasMarkup(text)) {
+            await this.generateSegments(text, voice, speed);
+            return;
+        }
+
+        // Pronunciation overrides are sent as inline [word](/phonemes/) markup
+        const requestText = this.lexiconService.applyToText(text, this.getLanguage(voice));
+        if (requestText.length > MAX_REQUEST_CHARS && !this.isLongForm()) {
+            this.showStatus('Lexicon overrides push the input over the limit — enable Long-form', 'error');
+            return;
+        }
+        this.currentGeneration = { text, voice, speed };
+
         this.setGenerating(true);
         this.elements.downloadBtn.classList.remove('ready');
         this.elements.downloadBtn.disabled = true;
+        this.setSubtitlesReady(false);
         this.waveVisualizer.updateProgress(0, 1);
+        this.readAlong.clear();
 
+        const segments = this.isLongForm() ? splitIntoChunks(requestText) : [requestText];
+        if (await this.playFromCache({ segments, voice, speed }, requestText.length)) return;
+
+        const onProgress = this.trackProgress(requestText.length, voice, speed);
         try {
-            await this.audioService.streamAudio(
-                text,
-                voice,
-                speed,
-                (loaded, total) => {
-                    this.waveVisualizer.updateProgress(loaded, total);
+            if (segments.length > 1) {
+                await this.audioService.streamLongForm(segments, voice, speed, onProgress);
+            } else {
+                await this.audioService.streamAudio(requestText, voice, speed, onProgress);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.showStatus('Error generating speech: ' + error.message, 'error');
+                this.setGenerating(false);
+            }
+        }
+    }
+
+    /**
+     * Compile dialogue turns and inline markup into segments for AudioService.renderSegments
+     * @returns {{segments: Object[], errors: Object[]}}
+     */
+    buildSegments(text, voice, speed) {
+        const turns = this.isDialogueMode()
+            ? parseDialogue(text).turns.map(turn => ({ text: turn.text, voice: this.dialogueCast.getVoice(turn.speaker) }))
+            : [{ text, voice }];
+        const gap = Math.max(0, parseInt(this.elements.dialogueGap.value, 10) || 0) / 1000;
+        const voices = this.voiceService.getAvailableVoices();
+
+        const segments = [];
+        const errors = [];
+        turns.forEach((turn, i) => {
+            if (i > 0 && gap > 0) {
+                segments.push({ silence: gap });
+            }
+            const compiled = compileMarkup(turn.text, { voice: turn.voice, speed, voices });
+            errors.push(...compiled.errors);
+
+            for (const segment of compiled.segments) {
+                if (segment.silence) {
+                    segments.push(segment);
+                    continue;
                 }
-            );
+                // Lexicon markup goes in after our tags are gone, so tag names are never rewritten
+                const segmentText = this.lexiconService.applyToText(segment.text, this.getLanguage(segment.voice));
+                splitIntoChunks(segmentText).forEach(chunk => {
+                    segments.push({ ...segment, text: chunk });
+                });
+            }
+        });
+
+        return { segments, errors };
+    }
+
+    async generateSegments(text, voice, speed) {
+        const { segments, errors } = this.buildSegments(text, voice, speed);
+        if (errors.length > 0) {
+            this.showStatus('Markup error: ' + errors[0].message, 'error');
+            return;
+        }
+        if (!segments.some(segment => segment.text)) {
+            this.showStatus('Nothing to read — the script only contains tags', 'error');
+            return;
+        }
+
+        const voices = [...new Set(segments.filter(segment => segment.text).map(segment => segment.voice))];
+        this.currentGeneration = { text, voice: voices.join(','), speed };
+
+        this.setGenerating(true);
+        this.elements.downloadBtn.classList.remove('ready');
+        this.elements.downloadBtn.disabled = true;
+        this.setSubtitlesReady(false);
+        this.waveVisualizer.updateProgress(0, 1);
+        this.readAlong.clear();
+
+        const chars = segments.reduce((sum, segment) => sum + (segment.text?.length || 0), 0);
+        if (await this.playFromCache({ segments, voice, speed }, chars)) return;
+
+        try {
+            await this.audioService.renderSegments(segments, this.trackProgress(chars, voices.join(','), speed));
         } catch (error) {
             if (error.name !== 'AbortError') {
                 this.showStatus('Error generating speech: ' + error.message, 'error');
@@ -185,21 +861,159 @@ export class App {
         }
     }
 
-    downloadAudio() {
+    /**
+     * Start measuring a generation against the audio length expected for it
+     * @param {number} chars - Characters being generated
+     * @param {string} voice - Voice string
+     * @param {number} speed - Generation speed
+     * @returns {Function} Progress callback for AudioService, taking seconds of audio decoded
+     */
+    trackProgress(chars, voice, speed) {
+        this.pacingService.begin({ chars, voice, speed });
+        const update = (seconds) => {
+            const progress = this.pacingService.update(seconds);
+            if (!progress) return;
+            this.waveVisualizer.updateProgress(progress.fraction, 1);
+            this.waveVisualizer.showProgressDetail(progress);
+        };
+
+        // Keep the countdown moving while the server is quiet, before the first audio especially
+        clearInterval(this.progressTimer);
+        this.progressTimer = setInterval(() => update(), 1000);
+        update(0);
+        return update;
+    }
+
+    /**
+     * Play a clip from the generation cache when the same request was generated before
+     * @param {Object} request - Segments, voice and speed; the format and AudioService
+     *        request settings are added to the key here
+     * @param {number} textLength - Characters in the request
+     * @returns {Promise<boolean>} Whether the cached clip is playing
+     */
+    async playFromCache(request, textLength) {
+        try {
+            const key = await this.cacheService.getKey({
+                ...request,
+                ...this.audioService.getRequestSettings(),
+                format: this.elements.formatSelect.value
+            });
+            this.currentGeneration.cacheKey = key;
+
+            const clip = key ? await this.cacheService.get(key) : null;
+            if (!clip) return false;
+
+            this.waveVisualizer.updateProgress(1, 1);
+            await this.audioService.playCachedClip(clip, textLength);
+            this.currentGeneration.cached = true;
+            return true;
+        } catch (error) {
+            console.warn('Could not play from the generation cache:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Keep a finished generation in history and the generation cache.
+     * Clips played from the cache are already stored, so they are skipped.
+     */
+    async saveGeneration() {
+        const { cacheKey, cached, ...generation } = this.currentGeneration || {};
+        const finished = this.currentGeneration && !cached;
+        this.currentGeneration = null;
+        if (!finished) return;
+
+        let audio = null;
+        let format = this.audioService.getDownloadFormat() || 'mp3';
+        const requestedFormat = format;
+
+        // Prefer the server file in the chosen download format, fall back to the streamed audio
         const downloadUrl = this.audioService.getDownloadUrl();
-        if (!downloadUrl) return;
+        if (downloadUrl) {
+            try {
+                const response = await fetch(downloadUrl);
+                if (response.ok) {
+                    audio = await response.blob();
+                }
+            } catch (error) {
+                console.warn('Could not fetch download for history:', error);
+            }
+        }
+        if (!audio) {
+            audio = this.audioService.getAudioBlob();
+            format = this.audioService.getStreamFormat();
+        }
+        if (!audio) return;
+
+        // A clip that fell back to the streamed audio is left out, so the next request can get the real file
+        if (cacheKey && format === requestedFormat) {
+            this.cacheService.put(cacheKey, { audio, format, timestamps: this.audioService.getWordTimestamps() })
+                .catch(error => console.warn('Failed to cache generation:', error));
+        }
+
+        const duration = this.audioService.getDuration();
+        try {
+            await this.historyService.add({
+                ...generation,
+                format,
+                duration: isFinite(duration) ? duration : 0,
+                audio
+            });
+            if (document.getElementById('history-drawer').classList.contains('open')) {
+                this.historyPanel.refresh();
+            }
+        } catch (error) {
+            console.error('Failed to save generation to history:', error);
+            this.showStatus('Could not save to history: ' + error.message, 'error');
+        }
+    }
 
-        const format = this.elements.formatSelect.value;
+    getDownloadBaseName() {
         const voice = this.voiceService.getSelectedVoiceString();
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return `${voice}_${timestamp}`;
+    }
 
+    saveFile(url, filename) {
         const a = document.createElement('a');
-        a.href = downloadUrl;
-        a.download = `${voice}_${timestamp}.${format}`;
+        a.href = url;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
     }
+
+    downloadAudio() {
+        const downloadUrl = this.audioService.getDownloadUrl();
+        if (!downloadUrl) return;
+
+        const format = this.audioService.getDownloadFormat() || this.elements.formatSelect.value;
+        this.saveFile(downloadUrl, `${this.getDownloadBaseName()}.${format}`);
+    }
+
+    setSubtitlesReady(ready) {
+        this.elements.downloadSrtBtn.disabled = !ready;
+        this.elements.downloadVttBtn.disabled = !ready;
+    }
+
+    downloadSubtitles(format) {
+        const timestamps = this.audioService.getWordTimestamps();
+        if (!timestamps.length) {
+            this.showStatus('No captions available — enable Read-along captions and generate first', 'error');
+            return;
+        }
+
+        const maxCharsPerLine = parseInt(this.elements.subtitleMaxChars.value, 10);
+        const maxDuration = parseFloat(this.elements.subtitleMaxDuration.value);
+        this.subtitleService.setOptions({
+            maxCharsPerLine: maxCharsPerLine >= 10 ? maxCharsPerLine : 42,
+            maxDuration: maxDuration >= 1 ? maxDuration : 6
+        });
+
+        const url = URL.createObjectURL(this.subtitleService.createFile(timestamps, format));
+        this.saveFile(url, `${this.getDownloadBaseName()}.${format}`);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 }
 
 // Initialize app when DOM is loaded
@@ -0,0 +1,128 @@
+export class BlendPanel {
+    constructor(container, blendService, voiceService, options = {}) {
+        this.container = container;
+        this.blendService = blendService;
+        this.voiceService = voiceService;
+        this.options = {
+            onApply: null,     // (blend) => void
+            onChange: null,    // () => void, after a blend is saved or deleted
+            onDownload: null,  // (url, filename) => void
+            onStatus: null,    // (message, type) => void
+            ...options
+        };
+
+        this.setupDOM();
+        this.bindEvents();
+        this.render();
+    }
+
+    setupDOM() {
+        this.container.innerHTML = `
+            <span class="config-label">Saved Blends</span>
+            <div class="config-row">
+                <input type="text" class="drawer-input blend-name" placeholder="Name the current mix..." autocomplete="off">
+                <button class="config-btn blend-save">Save</button>
+            </div>
+            <div class="blend-list"></div>
+        `;
+
+        this.elements = {
+            name: this.container.querySelector('.blend-name'),
+            saveBtn: this.container.querySelector('.blend-save'),
+            list: this.container.querySelector('.blend-list')
+        };
+    }
+
+    bindEvents() {
+        this.elements.saveBtn.addEventListener('click', () => this.saveCurrent());
+        this.elements.name.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveCurrent();
+        });
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const blend = this.blendService.getBlend(button.dataset.name);
+            if (!blend) return;
+
+            switch (button.dataset.action) {
+                case 'apply':
+                    this.options.onApply?.(blend);
+                    break;
+                case 'export':
+                    this.exportBlend(blend, button);
+                    break;
+                case 'delete':
+                    this.blendService.removeBlend(blend.name);
+                    this.render();
+                    this.options.onChange?.();
+                    break;
+            }
+        });
+    }
+
+    render() {
+        const blends = this.blendService.getBlends();
+        if (blends.length === 0) {
+            this.elements.list.innerHTML = '<div class="drawer-empty">Saved mixes appear here.</div>';
+            return;
+        }
+
+        this.elements.list.innerHTML = blends
+            .map(blend => {
+                const name = this.escape(blend.name);
+                const voices = this.escape(this.blendService.getVoiceString(blend));
+                return `
+                <div class="blend-item">
+                    <button class="blend-apply" data-action="apply" data-name="${name}" title="Use this blend">
+                        <span class="blend-item-name">${name}</span>
+                        <span class="blend-item-voices">${voices}</span>
+                    </button>
+                    <button class="voice-mixer-remove" data-action="export" data-name="${name}" title="Download as a voice file">⤓</button>
+                    <button class="voice-mixer-remove" data-action="delete" data-name="${name}" title="Delete">×</button>
+                </div>
+            `})
+            .join('');
+    }
+
+    saveCurrent() {
+        try {
+            const blend = this.blendService.saveBlend(
+                this.elements.name.value,
+                this.voiceService.getSelectedVoiceWeights()
+            );
+            this.elements.name.value = '';
+            this.render();
+            this.options.onChange?.();
+            this.status(`Saved blend "${blend.name}"`, 'success');
+        } catch (error) {
+            this.status(error.message, 'error');
+        }
+    }
+
+    async exportBlend(blend, button) {
+        button.disabled = true;
+        try {
+            const url = URL.createObjectURL(await this.blendService.exportVoice(blend));
+            const filename = blend.name.replace(/[^\w.-]+/g, '_') + '.pt';
+            this.options.onDownload?.(url, filename);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            this.status('Export failed: ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+export default BlendPanel;
@@ -0,0 +1,407 @@
+export class ChapterPanel {
+    constructor(container, audioService, audiobookService, options = {}) {
+        this.container = container;
+        this.audioService = audioService;
+        this.audiobookService = audiobookService;
+        this.options = {
+            getSections: null,    // () => [{title, text}], one per editor page
+            buildSegments: null,  // (text) => {segments, errors}
+            getFormat: null,      // () => 'mp3' | 'wav'
+            getVoice: null,       // () => voice string chapters are generated with
+            getTitle: null,       // () => fallback audiobook title
+            onDownload: null,     // (url, filename) => void
+            onStatus: null,       // (message, type) => void
+            ...options
+        };
+
+        this.sections = [];
+        this.selected = new Set();
+        this.results = new Map(); // section index -> { text, voice, format, blob, url, filename, duration }
+        this.controller = null;
+        this.cover = null;
+
+        this.setupDOM();
+        this.bindEvents();
+    }
+
+    setupDOM() {
+        this.container.innerHTML = `
+            <div class="config-hint">Each chapter is generated as its own file with the current voice and settings.
+                Pauses from tags and dialogue gaps are kept in WAV files only.</div>
+            <div class="config-row">
+                <button class="config-btn chapter-select-all">Select All</button>
+                <button class="config-btn chapter-select-none">Select None</button>
+            </div>
+            <div class="chapter-list"></div>
+            <div class="config-row">
+                <button class="config-btn chapter-generate">Generate</button>
+                <button class="config-btn chapter-cancel" style="display: none;">Cancel</button>
+                <button class="config-btn chapter-download-all" disabled>Download All</button>
+            </div>
+            <div class="audiobook-export">
+                <span class="config-label">Audiobook</span>
+                <div class="config-hint">Joins the generated chapters into one file. MP3 books get chapter markers,
+                    tags and cover art for podcast and audiobook apps.</div>
+                <input type="text" class="drawer-input audiobook-title" placeholder="Title" autocomplete="off">
+                <input type="text" class="drawer-input audiobook-artist" placeholder="Author or narrator" autocomplete="off">
+                <textarea class="drawer-input audiobook-comment" rows="2" placeholder="Comment"></textarea>
+                <div class="config-row">
+                    <input type="file" class="audiobook-cover-input" accept="image/jpeg,image/png" style="display: none;">
+                    <button class="config-btn audiobook-cover">Add Cover</button>
+                    <span class="audiobook-cover-name"></span>
+                </div>
+                <div class="config-row">
+                    <button class="config-btn audiobook-export-btn" disabled>Export Audiobook</button>
+                    <button class="config-btn audiobook-chapters-btn" disabled title="Chapter times for M4B tools">Chapter List</button>
+                </div>
+            </div>
+        `;
+
+        this.elements = {
+            list: this.container.querySelector('.chapter-list'),
+            selectAllBtn: this.container.querySelector('.chapter-select-all'),
+            selectNoneBtn: this.container.querySelector('.chapter-select-none'),
+            generateBtn: this.container.querySelector('.chapter-generate'),
+            cancelBtn: this.container.querySelector('.chapter-cancel'),
+            downloadAllBtn: this.container.querySelector('.chapter-download-all'),
+            title: this.container.querySelector('.audiobook-title'),
+            artist: this.container.querySelector('.audiobook-artist'),
+            comment: this.container.querySelector('.audiobook-comment'),
+            coverInput: this.container.querySelector('.audiobook-cover-input'),
+            coverBtn: this.container.querySelector('.audiobook-cover'),
+            coverName: this.container.querySelector('.audiobook-cover-name'),
+            exportBtn: this.container.querySelector('.audiobook-export-btn'),
+            chaptersBtn: this.container.querySelector('.audiobook-chapters-btn')
+        };
+    }
+
+    bindEvents() {
+        this.elements.list.addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.index, 10);
+            if (e.target.checked) {
+                this.selected.add(index);
+            } else {
+                this.selected.delete(index);
+            }
+            this.updateButtons();
+        });
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-download]');
+            if (button) this.download(parseInt(button.dataset.download, 10));
+        });
+
+        this.elements.selectAllBtn.addEventListener('click', () => {
+            this.sections.forEach((section, i) => this.selected.add(i));
+            this.render();
+        });
+        this.elements.selectNoneBtn.addEventListener('click', () => {
+            this.selected.clear();
+            this.render();
+        });
+
+        this.elements.generateBtn.addEventListener('click', () => this.generate());
+        this.elements.cancelBtn.addEventListener('click', () => this.controller?.abort());
+        this.elements.downloadAllBtn.addEventListener('click', () => {
+            [...this.results.keys()].sort((a, b) => a - b).forEach(index => this.download(index));
+        });
+
+        // Cover art toggles between picking an image and removing it
+        this.elements.coverBtn.addEventListener('click', () => {
+            if (this.cover) {
+                this.setCover(null);
+            } else {
+                this.elements.coverInput.click();
+            }
+        });
+        this.elements.coverInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.setCover(file);
+        });
+
+        this.elements.exportBtn.addEventListener('click', () => this.exportAudiobook());
+        this.elements.chaptersBtn.addEventListener('click', () => this.exportChapterList());
+    }
+
+    /**
+     * Prefill the audiobook tags, e.g. from an imported book
+     * @param {{title?: string, author?: string}} metadata
+     */
+    setMetadata({ title = '', author = '' }) {
+        this.elements.title.value = title;
+        this.elements.artist.value = author;
+    }
+
+    setCover(file) {
+        this.cover = file;
+        this.elements.coverName.textContent = file ? file.name : '';
+        this.elements.coverBtn.textContent = file ? 'Remove Cover' : 'Add Cover';
+    }
+
+    /**
+     * Reload chapters from the editor; files stay available for chapters whose text hasn't changed
+     */
+    open() {
+        if (this.controller) return; // Keep the list stable while generating
+
+        const previous = this.sections;
+        this.sections = this.options.getSections?.() || [];
+
+        const results = new Map();
+        this.results.forEach((result, index) => {
+            if (this.sections[index]?.text === result.text) {
+                results.set(index, result);
+            } else {
+                URL.revokeObjectURL(result.url);
+            }
+        });
+        this.results = results;
+
+        // Select everything for a new document, otherwise keep the selection
+        if (previous.length !== this.sections.length) {
+            this.selected = new Set(this.sections.map((section, i) => i));
+        }
+        this.render();
+    }
+
+    getTitle(index) {
+        return this.sections[index].title || `Page ${index + 1}`;
+    }
+
+    render() {
+        if (this.sections.every(section => !section.text.trim())) {
+            this.elements.list.innerHTML = '<div class="drawer-empty">Import a book or document to generate it chapter by chapter.</div>';
+            this.updateButtons();
+            return;
+        }
+
+        this.elements.list.innerHTML = this.sections
+            .map((section, i) => {
+                const result = this.results.get(i);
+                return `
+                <div class="chapter-item" data-chapter="${i}">
+                    <label class="chapter-label">
+                        <input type="checkbox" data-index="${i}" ${this.selected.has(i) ? 'checked' : ''}
+                            ${section.text.trim() ? '' : 'disabled'}>
+                        <span class="chapter-title">${this.escape(this.getTitle(i))}</span>
+                    </label>
+                    <span class="chapter-status">${result ? this.formatDuration(result.duration) : `${section.text.length} chars`}</span>
+                    <button class="voice-mixer-remove" data-download="${i}" title="Download" ${result ? '' : 'disabled'}>⤓</button>
+                </div>
+            `})
+            .join('');
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        const generating = !!this.controller;
+        const count = [...this.selected].filter(i => this.sections[i]?.text.trim()).length;
+        this.elements.generateBtn.disabled = generating || count === 0;
+        this.elements.generateBtn.textContent = count > 0 ? `Generate ${count} File${count === 1 ? '' : 's'}` : 'Generate';
+        this.elements.cancelBtn.style.display = generating ? '' : 'none';
+        this.elements.downloadAllBtn.disabled = generating || this.results.size === 0;
+        this.elements.selectAllBtn.disabled = generating;
+        this.elements.selectNoneBtn.disabled = generating;
+        this.elements.exportBtn.disabled = generating || this.results.size === 0;
+        this.elements.chaptersBtn.disabled = generating || this.results.size === 0;
+    }
+
+    setItemStatus(index, text, state = '') {
+        const item = this.elements.list.querySelector(`[data-chapter="${index}"]`);
+        if (!item) return;
+        item.querySelector('.chapter-status').textContent = text;
+        item.classList.remove('working', 'done', 'failed');
+        if (state) item.classList.add(state);
+    }
+
+    async generate() {
+        const indexes = [...this.selected]
+            .filter(i => this.sections[i]?.text.trim())
+            .sort((a, b) => a - b);
+        if (indexes.length === 0) return;
+
+        const format = this.options.getFormat?.() || 'mp3';
+        const voice = this.options.getVoice?.() || '';
+        this.controller = new AbortController();
+        this.updateButtons();
+
+        let completed = 0;
+        let failed = 0;
+        try {
+            for (const index of indexes) {
+                const section = this.sections[index];
+                const { segments, errors } = this.options.buildSegments(section.text);
+                if (errors.length > 0) {
+                    failed++;
+                    this.setItemStatus(index, 'Markup error', 'failed');
+                    continue;
+                }
+
+                this.setItemStatus(index, 'Generating…', 'working');
+                try {
+                    const blob = await this.audioService.renderFile(segments, {
+                        format,
+                        signal: this.controller.signal,
+                        onProgress: (done, total) => this.setItemStatus(index, `${done} / ${total}`, 'working')
+                    });
+                    this.setResult(index, section, { blob, format, voice, duration: await this.measureDuration(blob) });
+                    completed++;
+                    this.setItemStatus(index, this.formatDuration(this.results.get(index).duration), 'done');
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    failed++;
+                    console.error(`Failed to generate ${this.getTitle(index)}:`, error);
+                    this.setItemStatus(index, 'Failed', 'failed');
+                }
+            }
+            this.status(
+                failed > 0 ? `Generated ${completed} of ${indexes.length} files, ${failed} failed` : `Generated ${completed} files`,
+                failed > 0 ? 'error' : 'success'
+            );
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.status('Chapter generation cancelled', 'info');
+            } else {
+                this.status('Chapter generation failed: ' + error.message, 'error');
+            }
+            this.render();
+        } finally {
+            this.controller = null;
+            this.updateButtons();
+        }
+    }
+
+    setResult(index, section, { blob, format, voice, duration }) {
+        const previous = this.results.get(index);
+        if (previous) URL.revokeObjectURL(previous.url);
+
+        const number = String(index + 1).padStart(String(this.sections.length).length, '0');
+        const name = this.getTitle(index).replace(/[^\w\s.-]+/g, '').trim().replace(/\s+/g, '_').slice(0, 60);
+        this.results.set(index, {
+            text: section.text,
+            voice,
+            format,
+            blob,
+            url: URL.createObjectURL(blob),
+            filename: `${number}_${name || 'chapter'}.${format}`,
+            duration
+        });
+        this.elements.list.querySelector(`[data-download="${index}"]`)?.removeAttribute('disabled');
+    }
+
+    getAudiobookTitle() {
+        return this.elements.title.value.trim() || this.options.getTitle?.() || 'Audiobook';
+    }
+
+    getFilename(extension) {
+        const name = this.getAudiobookTitle().replace(/[^\w\s.-]+/g, '').trim().replace(/\s+/g, '_').slice(0, 80);
+        return `${name || 'audiobook'}.${extension}`;
+    }
+
+    /**
+     * Generated chapters in chapter order
+     * @returns {Array<{title: string, text: string, voice: string, format: string, blob: Blob}>}
+     */
+    getChapters() {
+        return [...this.results.keys()]
+            .sort((a, b) => a - b)
+            .map(index => ({ title: this.getTitle(index), ...this.results.get(index) }));
+    }
+
+    async buildAudiobook() {
+        const chapters = this.getChapters();
+        const voices = [...new Set(chapters.map(chapter => chapter.voice).filter(Boolean))];
+
+        return this.audiobookService.build(chapters, {
+            title: this.getAudiobookTitle(),
+            artist: this.elements.artist.value.trim(),
+            comment: this.elements.comment.value.trim() || (voices.length ? `Narrated with Kokoro TTS, voice ${voices.join(', ')}` : ''),
+            voice: voices.join(', '),
+            text: chapters.map(chapter => `${chapter.title}\n\n${chapter.text}`).join('\n\n'),
+            cover: this.cover
+        });
+    }
+
+    async exportAudiobook() {
+        const missing = this.sections.filter((section, i) => section.text.trim() && !this.results.has(i)).length;
+        this.elements.exportBtn.disabled = true;
+        try {
+            const audiobook = await this.buildAudiobook();
+            const url = URL.createObjectURL(audiobook.blob);
+            this.options.onDownload?.(url, this.getFilename(audiobook.format));
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            if (missing > 0) {
+                this.status(`Exported ${audiobook.chapters.length} chapters — ${missing} not generated yet were left out`, 'info');
+            } else if (audiobook.format === 'wav') {
+                this.status('Exported WAV audiobook — use the chapter list to add chapters', 'success');
+            } else {
+                this.status(`Exported audiobook with ${audiobook.chapters.length} chapters`, 'success');
+            }
+        } catch (error) {
+            this.status('Export failed: ' + error.message, 'error');
+        } finally {
+            this.updateButtons();
+        }
+    }
+
+    async exportChapterList() {
+        try {
+            const { chapters } = await this.audiobookService.build(this.getChapters());
+            const blob = new Blob([this.audiobookService.getChapterList(chapters)], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            this.options.onDownload?.(url, this.getFilename('chapters.txt'));
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            this.status('Could not build chapter list: ' + error.message, 'error');
+        }
+    }
+
+    measureDuration(blob) {
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(blob);
+            const audio = new Audio();
+            const done = (duration) => {
+                URL.revokeObjectURL(url);
+                resolve(Number.isFinite(duration) ? duration : 0);
+            };
+            audio.addEventListener('loadedmetadata', () => done(audio.duration), { once: true });
+            audio.addEventListener('error', () => done(0), { once: true });
+            audio.preload = 'metadata';
+            audio.src = url;
+        });
+    }
+
+    formatDuration(seconds) {
+        if (!seconds) return 'Ready';
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    download(index) {
+        const result = this.results.get(index);
+        if (result) this.options.onDownload?.(result.url, result.filename);
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    cleanup() {
+        this.controller?.abort();
+        this.results.forEach(result => URL.revokeObjectURL(result.url));
+        this.results.clear();
+    }
+}
+
+export default ChapterPanel;
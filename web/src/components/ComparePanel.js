@@ -0,0 +1,392 @@
+import { MAX_REQUEST_CHARS, splitSentences } from '../utils/text.js';
+
+const MIN_CANDIDATES = 2;
+const MAX_CANDIDATES = 6;
+const SAMPLE_CHARS = 200; // How much of the script to prefill as the comparison line
+
+export class ComparePanel {
+    constructor(container, audioService, voiceService, blendService, options = {}) {
+        this.container = container;
+        this.audioService = audioService;
+        this.voiceService = voiceService;
+        this.blendService = blendService;
+        this.options = {
+            getScript: null,  // () => string
+            getSpeed: null,   // () => number
+            onPick: null,     // (candidate) => void
+            onStatus: null,   // (message, type) => void
+            ...options
+        };
+
+        this.slots = [];     // Candidate keys: 'mix', 'voice:<id>' or 'blend:<name>'
+        this.results = [];   // { candidate, url, audio, error } per generated take
+        this.controller = null;
+        this.soloIndex = 0;  // The take that is audible during synced playback
+        this.isPlaying = false;
+        this.winnerIndex = null;
+        this._rafId = null;
+
+        this.setupDOM();
+        this.bindEvents();
+    }
+
+    setupDOM() {
+        this.container.innerHTML = `
+            <textarea class="drawer-input compare-text" rows="3" placeholder="Line to compare (defaults to the start of your script)"></textarea>
+            <div class="compare-slots"></div>
+            <div class="config-row">
+                <button class="config-btn compare-add">+ Add Voice</button>
+                <button class="config-btn compare-generate">Generate Takes</button>
+            </div>
+            <div class="config-row compare-transport" style="display: none;">
+                <button class="config-btn compare-play">Play</button>
+                <button class="config-btn compare-stop">Stop</button>
+                <span class="compare-time">0:00</span>
+            </div>
+            <div class="compare-grid"></div>
+        `;
+
+        this.elements = {
+            text: this.container.querySelector('.compare-text'),
+            slots: this.container.querySelector('.compare-slots'),
+            addBtn: this.container.querySelector('.compare-add'),
+            generateBtn: this.container.querySelector('.compare-generate'),
+            transport: this.container.querySelector('.compare-transport'),
+            playBtn: this.container.querySelector('.compare-play'),
+            stopBtn: this.container.querySelector('.compare-stop'),
+            time: this.container.querySelector('.compare-time'),
+            grid: this.container.querySelector('.compare-grid')
+        };
+    }
+
+    bindEvents() {
+        this.elements.addBtn.addEventListener('click', () => {
+            if (this.slots.length >= MAX_CANDIDATES) return;
+            this.slots.push(this.getUnusedKey());
+            this.renderSlots();
+        });
+
+        this.elements.slots.addEventListener('change', (e) => {
+            if (e.target.classList.contains('compare-slot-select')) {
+                this.slots[parseInt(e.target.dataset.index, 10)] = e.target.value;
+            }
+        });
+
+        this.elements.slots.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove]');
+            if (!button || this.slots.length <= MIN_CANDIDATES) return;
+            this.slots.splice(parseInt(button.dataset.remove, 10), 1);
+            this.renderSlots();
+        });
+
+        this.elements.generateBtn.addEventListener('click', () => this.generate());
+        this.elements.playBtn.addEventListener('click', () => {
+            if (this.isPlaying) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        this.elements.stopBtn.addEventListener('click', () => this.stop());
+
+        this.elements.grid.addEventListener('click', (e) => {
+            const card = e.target.closest('.compare-card');
+            if (!card) return;
+            const index = parseInt(card.dataset.index, 10);
+            if (e.target.closest('[data-action="pick"]')) {
+                this.pick(index);
+            } else {
+                this.solo(index);
+            }
+        });
+    }
+
+    /**
+     * Prepare the panel when it is shown: refresh the voice lists and
+     * prefill the comparison line from the script
+     */
+    open() {
+        if (this.slots.length === 0) {
+            this.slots = ['mix', this.getUnusedKey(['mix'])];
+        }
+        this.renderSlots();
+
+        if (!this.elements.text.value.trim()) {
+            let sample = '';
+            for (const sentence of splitSentences(this.options.getScript?.() || '')) {
+                if (sample && sample.length + sentence.length + 1 > SAMPLE_CHARS) break;
+                sample = sample ? `${sample} ${sentence}` : sentence;
+            }
+            this.elements.text.value = sample.slice(0, MAX_REQUEST_CHARS);
+        }
+    }
+
+    getUnusedKey(used = this.slots) {
+        const voice = this.voiceService.getAvailableVoices()
+            .find(v => !used.includes(`voice:${v}`) && !this.voiceService.getSelectedVoices().includes(v));
+        return voice ? `voice:${voice}` : 'mix';
+    }
+
+    /**
+     * Turn a slot key into the voice string to generate and the mix to apply if it wins
+     * @param {string} key
+     * @returns {{key: string, label: string, voice: string, weights: Array|null}|null}
+     */
+    resolveCandidate(key) {
+        if (key === 'mix') {
+            return {
+                key,
+                label: 'Current mix',
+                voice: this.voiceService.getSelectedVoiceString(),
+                weights: this.voiceService.getSelectedVoiceWeights()
+            };
+        }
+        if (key.startsWith('blend:')) {
+            const blend = this.blendService.getBlend(key.slice(6));
+            if (!blend) return null;
+            return { key, label: blend.name, voice: this.blendService.getVoiceString(blend), weights: blend.voices };
+        }
+        const voice = key.slice(6);
+        const entry = this.voiceService.parseVoice(voice);
+        return { key, label: entry.name, voice, weights: [{ voice, weight: 1 }] };
+    }
+
+    renderSlots() {
+        const voiceOptions = this.voiceService.getAvailableVoices();
+        const blends = this.blendService.getBlends();
+
+        this.elements.slots.innerHTML = this.slots
+            .map((key, index) => `
+                <div class="compare-slot">
+                    <select class="config-select compare-slot-select" data-index="${index}">
+                        <option value="mix" ${key === 'mix' ? 'selected' : ''}>Current mix</option>
+                        ${blends.length ? `<optgroup label="Saved blends">${blends.map(blend => {
+                            const value = this.escape(`blend:${blend.name}`);
+                            return `<option value="${value}" ${key === `blend:${blend.name}` ? 'selected' : ''}>${this.escape(blend.name)}</option>`;
+                        }).join('')}</optgroup>` : ''}
+                        <optgroup label="Voices">${voiceOptions.map(voice =>
+                            `<option value="voice:${voice}" ${key === `voice:${voice}` ? 'selected' : ''}>${voice}</option>`
+                        ).join('')}</optgroup>
+                    </select>
+                    <button class="voice-mixer-remove" data-remove="${index}" title="Remove"
+                        ${this.slots.length <= MIN_CANDIDATES ? 'disabled' : ''}>×</button>
+                </div>
+            `)
+            .join('');
+
+        this.elements.addBtn.disabled = this.slots.length >= MAX_CANDIDATES;
+    }
+
+    async generate() {
+        const text = this.elements.text.value.trim();
+        if (!text) {
+            this.status('Enter a line to compare', 'error');
+            return;
+        }
+        if (text.length > MAX_REQUEST_CHARS) {
+            this.status(`Comparison lines are limited to ${MAX_REQUEST_CHARS} characters`, 'error');
+            return;
+        }
+
+        const candidates = [];
+        for (const key of this.slots) {
+            const candidate = this.resolveCandidate(key);
+            if (candidate && candidate.voice && !candidates.some(c => c.voice === candidate.voice)) {
+                candidates.push(candidate);
+            }
+        }
+        if (candidates.length < MIN_CANDIDATES) {
+            this.status(`Choose at least ${MIN_CANDIDATES} different voices to compare`, 'error');
+            return;
+        }
+
+        this.reset();
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+        const speed = this.options.getSpeed?.() || 1;
+
+        this.results = candidates.map(candidate => ({ candidate, url: null, audio: null, error: null }));
+        this.renderCards();
+        this.elements.generateBtn.disabled = true;
+
+        // One at a time so a single-worker server isn't flooded; each card fills in as it finishes
+        for (let i = 0; i < this.results.length; i++) {
+            const result = this.results[i];
+            try {
+                const blob = await this.audioService.synthesize(text, result.candidate.voice, speed, { signal });
+                result.url = URL.createObjectURL(blob);
+                result.audio = new Audio(result.url);
+                result.audio.preload = 'auto';
+                result.audio.addEventListener('loadedmetadata', () => this.updateCard(i));
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                result.error = error.message;
+            }
+            this.updateCard(i);
+        }
+
+        this.elements.generateBtn.disabled = false;
+        this.elements.transport.style.display = 'flex';
+    }
+
+    renderCards() {
+        this.elements.grid.innerHTML = this.results
+            .map((result, index) => `
+                <div class="compare-card" data-index="${index}">
+                    <div class="compare-card-label">${this.escape(result.candidate.label)}</div>
+                    <div class="compare-card-voice" title="${this.escape(result.candidate.voice)}">${this.escape(result.candidate.voice)}</div>
+                    <div class="compare-card-progress"><div class="compare-card-bar"></div></div>
+                    <div class="compare-card-footer">
+                        <span class="compare-card-meta">Waiting…</span>
+                        <button class="config-btn compare-pick" data-action="pick" disabled>Pick</button>
+                    </div>
+                </div>
+            `)
+            .join('');
+    }
+
+    updateCard(index) {
+        const card = this.elements.grid.querySelector(`.compare-card[data-index="${index}"]`);
+        const result = this.results[index];
+        if (!card || !result) return;
+
+        const meta = card.querySelector('.compare-card-meta');
+        if (result.error) {
+            meta.textContent = result.error;
+            card.classList.add('failed');
+        } else if (result.audio) {
+            const duration = result.audio.duration;
+            meta.textContent = Number.isFinite(duration) ? this.formatTime(duration) : 'Ready';
+            card.querySelector('.compare-pick').disabled = false;
+        }
+        card.classList.toggle('solo', index === this.soloIndex);
+        card.classList.toggle('winner', index === this.winnerIndex);
+    }
+
+    getReadyTakes() {
+        return this.results.filter(result => result.audio);
+    }
+
+    /**
+     * Play every take from the same position, with only the solo take audible,
+     * so switching between cards compares the same moment in each
+     */
+    play() {
+        const takes = this.getReadyTakes();
+        if (takes.length === 0) return;
+
+        const position = this.getPosition();
+        this.results.forEach((result, index) => {
+            if (!result.audio) return;
+            result.audio.muted = index !== this.soloIndex;
+            if (position < (result.audio.duration || Infinity)) {
+                result.audio.currentTime = position;
+                result.audio.play().catch(() => {});
+            }
+        });
+
+        this.isPlaying = true;
+        this.elements.playBtn.textContent = 'Pause';
+        this.tick();
+    }
+
+    pause() {
+        this.getReadyTakes().forEach(result => result.audio.pause());
+        this.isPlaying = false;
+        this.elements.playBtn.textContent = 'Play';
+        cancelAnimationFrame(this._rafId);
+    }
+
+    stop() {
+        this.pause();
+        this.getReadyTakes().forEach(result => {
+            result.audio.currentTime = 0;
+        });
+        this.updateProgress();
+    }
+
+    solo(index) {
+        if (!this.results[index]?.audio) return;
+        this.soloIndex = index;
+        this.results.forEach((result, i) => {
+            if (result.audio) result.audio.muted = i !== index;
+            this.updateCard(i);
+        });
+        if (!this.isPlaying) {
+            this.play();
+        }
+    }
+
+    pick(index) {
+        const result = this.results[index];
+        if (!result?.audio) return;
+        this.winnerIndex = index;
+        this.results.forEach((_, i) => this.updateCard(i));
+        this.options.onPick?.(result.candidate);
+    }
+
+    // Position of the longest-running take, so takes that ended don't pull the others back
+    getPosition() {
+        return this.getReadyTakes().reduce((max, result) => Math.max(max, result.audio.currentTime), 0);
+    }
+
+    tick() {
+        this.updateProgress();
+        const stillPlaying = this.getReadyTakes().some(result => !result.audio.paused && !result.audio.ended);
+        if (!stillPlaying) {
+            this.stop();
+            return;
+        }
+        this._rafId = requestAnimationFrame(() => this.tick());
+    }
+
+    updateProgress() {
+        this.results.forEach((result, index) => {
+            if (!result.audio) return;
+            const bar = this.elements.grid.querySelector(`.compare-card[data-index="${index}"] .compare-card-bar`);
+            const duration = result.audio.duration;
+            if (bar && Number.isFinite(duration) && duration > 0) {
+                bar.style.width = `${Math.min(100, (result.audio.currentTime / duration) * 100)}%`;
+            }
+        });
+        this.elements.time.textContent = this.formatTime(this.getPosition());
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    reset() {
+        this.controller?.abort();
+        this.controller = null;
+        this.pause();
+        this.results.forEach(result => {
+            if (result.audio) result.audio.src = '';
+            if (result.url) URL.revokeObjectURL(result.url);
+        });
+        this.results = [];
+        this.soloIndex = 0;
+        this.winnerIndex = null;
+        this.elements.grid.innerHTML = '';
+        this.elements.transport.style.display = 'none';
+        this.elements.generateBtn.disabled = false;
+        this.elements.time.textContent = '0:00';
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    cleanup() {
+        this.reset();
+    }
+}
+
+export default ComparePanel;
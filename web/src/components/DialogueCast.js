@@ -0,0 +1,104 @@
+export class DialogueCast {
+    constructor(container, voiceService, blendService) {
+        this.container = container;
+        this.voiceService = voiceService;
+        this.blendService = blendService;
+        this.speakers = [];
+        this.assignments = new Map(); // speaker name -> voice string ('' = current mix)
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('dialogue-voice-select')) {
+                this.assignments.set(e.target.dataset.speaker, e.target.value);
+            }
+        });
+    }
+
+    /**
+     * Show a row for each speaker, keeping voices already assigned
+     * @param {string[]} speakers - Speaker names in order of appearance
+     */
+    setSpeakers(speakers) {
+        const changed = speakers.length !== this.speakers.length ||
+            speakers.some((speaker, i) => speaker !== this.speakers[i]);
+        if (!changed) return;
+
+        this.speakers = speakers.slice();
+        speakers.forEach((speaker, i) => {
+            if (!this.assignments.has(speaker)) {
+                this.assignments.set(speaker, this.getDefaultVoice(i));
+            }
+        });
+        this.render();
+    }
+
+    getDefaultVoice(index) {
+        // The first speaker keeps the current mix, the rest get distinct stock voices
+        if (index === 0) return '';
+        const available = this.voiceService.getAvailableVoices();
+        const taken = new Set(this.assignments.values());
+        const preferred = ['am_adam', 'bf_emma', 'bm_george', 'af_bella', 'am_michael', 'bf_alice'];
+        return preferred.find(voice => available.includes(voice) && !taken.has(voice)) ||
+            available.find(voice => !taken.has(voice)) ||
+            '';
+    }
+
+    /**
+     * Get the voice string a speaker should be generated with
+     * @param {string} speaker
+     * @returns {string} Voice string for the API
+     */
+    getVoice(speaker) {
+        return this.assignments.get(speaker) || this.voiceService.getSelectedVoiceString();
+    }
+
+    getVoiceOptions(selected) {
+        const voices = this.voiceService.getAvailableVoices()
+            .map(voice => `<option value="${voice}" ${voice === selected ? 'selected' : ''}>${voice}</option>`)
+            .join('');
+        const blends = this.blendService.getBlends()
+            .map(blend => {
+                const value = this.escape(this.blendService.getVoiceString(blend));
+                const isSelected = this.blendService.getVoiceString(blend) === selected;
+                return `<option value="${value}" ${isSelected ? 'selected' : ''}>${this.escape(blend.name)}</option>`;
+            })
+            .join('');
+        return `
+            <option value="" ${selected === '' ? 'selected' : ''}>Current mix</option>
+            ${blends ? `<optgroup label="Saved blends">${blends}</optgroup>` : ''}
+            <optgroup label="Voices">${voices}</optgroup>
+        `;
+    }
+
+    render() {
+        if (this.speakers.length === 0) {
+            this.container.innerHTML = '<div class="dialogue-empty">Start lines with "Name:" to add speakers.</div>';
+            return;
+        }
+
+        this.container.innerHTML = this.speakers
+            .map(speaker => {
+                const name = this.escape(speaker);
+                return `
+                <div class="dialogue-row">
+                    <span class="dialogue-speaker" title="${name}">${name}</span>
+                    <select class="config-select dialogue-voice-select" data-speaker="${name}">
+                        ${this.getVoiceOptions(this.assignments.get(speaker) ?? '')}
+                    </select>
+                </div>
+            `})
+            .join('');
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+export default DialogueCast;
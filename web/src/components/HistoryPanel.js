@@ -0,0 +1,255 @@
+export class HistoryPanel {
+    constructor(container, historyService, cacheService, options = {}) {
+        this.container = container;
+        this.historyService = historyService;
+        this.cacheService = cacheService;
+        this.options = {
+            onDownload: null,  // (url, filename) => void
+            onStatus: null,    // (message, type) => void
+            ...options
+        };
+
+        this.entries = [];
+        this._playerAudio = null; // Shared Audio element for replays
+        this._playingId = null;
+        this._playerUrl = null;
+
+        this.setupDOM();
+        this.bindEvents();
+    }
+
+    setupDOM() {
+        this.container.innerHTML = `
+            <div class="history-toolbar">
+                <input type="text" class="drawer-input history-search" placeholder="Search text or voice..." autocomplete="off">
+            </div>
+            <div class="history-quota">
+                <div class="history-quota-bar"><div class="history-quota-fill"></div></div>
+                <span class="history-quota-label">Checking storage…</span>
+            </div>
+            <div class="history-cache">
+                <span class="history-cache-label" title="Repeated generations play from here without asking the server">Generation cache</span>
+                <button class="config-btn history-cache-clear" disabled>Clear</button>
+            </div>
+            <div class="history-list"></div>
+        `;
+
+        this.elements = {
+            search: this.container.querySelector('.history-search'),
+            quotaFill: this.container.querySelector('.history-quota-fill'),
+            quotaLabel: this.container.querySelector('.history-quota-label'),
+            cacheLabel: this.container.querySelector('.history-cache-label'),
+            cacheClearBtn: this.container.querySelector('.history-cache-clear'),
+            list: this.container.querySelector('.history-list')
+        };
+    }
+
+    bindEvents() {
+        this.elements.search.addEventListener('input', () => this.refresh());
+        this.elements.cacheClearBtn.addEventListener('click', () => this.clearCache());
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const id = parseInt(button.dataset.id, 10);
+
+            switch (button.dataset.action) {
+                case 'play':
+                    this.runAction(() => this.togglePlay(id), 'Could not play clip');
+                    break;
+                case 'download':
+                    this.runAction(() => this.download(id), 'Could not download clip');
+                    break;
+                case 'delete':
+                    this.runAction(() => this.remove(id), 'Could not delete clip');
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Run a list action, reporting storage failures instead of leaving them unhandled
+     * @param {Function} action - Async action
+     * @param {string} message - Prefix of the error shown
+     */
+    async runAction(action, message) {
+        try {
+            await action();
+        } catch (error) {
+            console.error(`${message}:`, error);
+            this.status(`${message}: ${error?.message || 'history is unavailable'}`, 'error');
+            // The entry may be gone, e.g. deleted in another tab
+            await this.refresh();
+        }
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    async refresh() {
+        try {
+            this.entries = await this.historyService.search(this.elements.search.value.trim());
+            this.render();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            this.elements.list.innerHTML = '<div class="drawer-empty">History is unavailable in this browser.</div>';
+        }
+        await this.updateQuota();
+        await this.updateCache();
+    }
+
+    render() {
+        if (this.entries.length === 0) {
+            this.elements.list.innerHTML = `<div class="drawer-empty">${
+                this.elements.search.value ? 'No matching generations.' : 'Generated clips will appear here.'
+            }</div>`;
+            return;
+        }
+
+        this.elements.list.innerHTML = this.entries
+            .map(entry => {
+                const isPlaying = this._playingId === entry.id;
+                return `
+                <div class="history-item ${isPlaying ? 'playing' : ''}" data-id="${entry.id}">
+                    <div class="history-item-text" title="${this.escape(entry.text)}">${this.escape(entry.text)}</div>
+                    <div class="history-item-meta">
+                        <span title="${this.escape(entry.voice)}">${this.escape(entry.voice)}</span>
+                        <span>${entry.speed.toFixed(1)}× · ${entry.format.toUpperCase()} · ${this.formatDuration(entry.duration)}</span>
+                        <span>${new Date(entry.createdAt).toLocaleString()}</span>
+                    </div>
+                    <div class="history-item-actions">
+                        <button class="config-btn" data-action="play" data-id="${entry.id}">${isPlaying ? 'Stop' : 'Play'}</button>
+                        <button class="config-btn" data-action="download" data-id="${entry.id}">Download</button>
+                        <button class="config-btn history-delete" data-action="delete" data-id="${entry.id}">Delete</button>
+                    </div>
+                </div>
+            `})
+            .join('');
+    }
+
+    async updateQuota() {
+        const estimate = await this.historyService.getStorageEstimate().catch(() => null);
+        if (!estimate || !estimate.quota) {
+            this.elements.quotaLabel.textContent = 'Storage usage unavailable';
+            this.elements.quotaFill.style.width = '0%';
+            return;
+        }
+
+        const pct = Math.min(100, (estimate.usage / estimate.quota) * 100);
+        this.elements.quotaFill.style.width = `${pct}%`;
+        this.elements.quotaFill.classList.toggle('warning', pct > 80);
+        this.elements.quotaLabel.textContent =
+            `${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} used`;
+    }
+
+    async updateCache() {
+        const usage = await this.cacheService.getUsage().catch(() => null);
+        if (!usage) {
+            this.elements.cacheLabel.textContent = 'Generation cache unavailable';
+            this.elements.cacheClearBtn.disabled = true;
+            return;
+        }
+
+        this.elements.cacheLabel.textContent = `Cache: ${usage.entries} clip${usage.entries === 1 ? '' : 's'} · ` +
+            `${this.formatBytes(usage.bytes)} of ${this.formatBytes(usage.maxBytes)}`;
+        this.elements.cacheClearBtn.disabled = usage.entries === 0;
+    }
+
+    async clearCache() {
+        try {
+            await this.cacheService.clear();
+        } catch (error) {
+            console.error('Failed to clear generation cache:', error);
+        }
+        await this.updateQuota();
+        await this.updateCache();
+    }
+
+    async togglePlay(id) {
+        const wasPlaying = this._playingId === id;
+        this.stopPlayback();
+        if (wasPlaying) {
+            this.render();
+            return;
+        }
+
+        const entry = await this.historyService.get(id);
+        if (!entry?.audio) return;
+
+        this._playerUrl = URL.createObjectURL(entry.audio);
+        this._playerAudio = new Audio(this._playerUrl);
+        this._playingId = id;
+        this._playerAudio.addEventListener('ended', () => {
+            this.stopPlayback();
+            this.render();
+        });
+        this._playerAudio.play().catch(() => {
+            this.stopPlayback();
+            this.render();
+        });
+        this.render();
+    }
+
+    stopPlayback() {
+        if (this._playerAudio) {
+            this._playerAudio.pause();
+            this._playerAudio = null;
+        }
+        if (this._playerUrl) {
+            URL.revokeObjectURL(this._playerUrl);
+            this._playerUrl = null;
+        }
+        this._playingId = null;
+    }
+
+    async download(id) {
+        const entry = await this.historyService.get(id);
+        if (!entry?.audio) return;
+
+        const url = URL.createObjectURL(entry.audio);
+        const timestamp = new Date(entry.createdAt).toISOString().replace(/[:.]/g, '-');
+        const filename = `${entry.voice}_${timestamp}.${entry.format}`;
+        this.options.onDownload?.(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async remove(id) {
+        if (this._playingId === id) {
+            this.stopPlayback();
+        }
+        await this.historyService.delete(id);
+        await this.refresh();
+    }
+
+    formatDuration(secs) {
+        if (!secs || !isFinite(secs)) return '–:––';
+        const minutes = Math.floor(secs / 60);
+        const seconds = Math.floor(secs % 60);
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        const units = ['KB', 'MB', 'GB', 'TB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    cleanup() {
+        this.stopPlayback();
+    }
+}
+
+export default HistoryPanel;
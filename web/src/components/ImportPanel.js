@@ -0,0 +1,203 @@
+import { DEFAULT_IMPORT_OPTIONS, IMPORT_FORMATS, getImportFormat, importFile } from '../utils/importers.js';
+
+const OPTION_LABELS = {
+    headingPages: 'Start a new page at each heading',
+    skipCode: 'Skip code blocks',
+    skipLinks: 'Skip links and web addresses'
+};
+
+export class ImportPanel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            onImport: null,  // (sections, file, metadata) => void
+            onCancel: null,  // () => void
+            onStatus: null,  // (message, type) => void
+            ...options
+        };
+
+        this.file = null;
+        this.sections = null;
+        this.metadata = {};        // Title and author when the file carries them
+        this.excluded = new Set(); // Indexes of sections left out of the import
+        this.importOptions = { ...DEFAULT_IMPORT_OPTIONS };
+
+        this.setupDOM();
+        this.bindEvents();
+    }
+
+    setupDOM() {
+        const toggles = Object.entries(OPTION_LABELS)
+            .map(([key, label]) => `
+                <label class="config-toggle">
+                    <input type="checkbox" data-option="${key}">
+                    <span class="toggle-track"></span>
+                    <span>${label}</span>
+                </label>
+            `)
+            .join('');
+
+        this.container.innerHTML = `
+            <div class="import-file"></div>
+            <div class="import-options">${toggles}</div>
+            <div class="import-toc-wrap">
+                <span class="config-label">Contents</span>
+                <div class="import-toc"></div>
+            </div>
+            <span class="config-label">Preview</span>
+            <div class="config-hint import-summary"></div>
+            <textarea class="drawer-input import-preview" rows="14" readonly></textarea>
+            <div class="config-row">
+                <button class="config-btn import-confirm">Import</button>
+                <button class="config-btn import-cancel">Cancel</button>
+            </div>
+        `;
+
+        this.elements = {
+            file: this.container.querySelector('.import-file'),
+            checkboxes: this.container.querySelectorAll('input[data-option]'),
+            tocWrap: this.container.querySelector('.import-toc-wrap'),
+            toc: this.container.querySelector('.import-toc'),
+            summary: this.container.querySelector('.import-summary'),
+            preview: this.container.querySelector('.import-preview'),
+            confirmBtn: this.container.querySelector('.import-confirm'),
+            cancelBtn: this.container.querySelector('.import-cancel')
+        };
+    }
+
+    bindEvents() {
+        this.elements.checkboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.importOptions[checkbox.dataset.option] = checkbox.checked;
+                this.update();
+            });
+        });
+
+        this.elements.toc.addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.section, 10);
+            if (e.target.checked) {
+                this.excluded.delete(index);
+            } else {
+                this.excluded.add(index);
+            }
+            this.renderPreview();
+        });
+
+        this.elements.confirmBtn.addEventListener('click', () => {
+            const sections = this.getIncludedSections();
+            if (sections.length === 0) return;
+            this.options.onImport?.(sections, this.file, this.metadata);
+            this.reset();
+        });
+
+        this.elements.cancelBtn.addEventListener('click', () => {
+            this.reset();
+            this.options.onCancel?.();
+        });
+    }
+
+    /**
+     * Show a file as it would be imported
+     * @param {File} file
+     * @returns {boolean} Whether the file type can be imported
+     */
+    open(file) {
+        const format = getImportFormat(file);
+        if (!format) {
+            this.status(`Can't import ${file.name} — use .txt, .md, .html, .docx, .epub or .srt`, 'error');
+            return false;
+        }
+
+        this.file = file;
+        this.excluded.clear();
+        this.elements.file.textContent = `${file.name} · ${IMPORT_FORMATS[format]}`;
+        this.elements.checkboxes.forEach(checkbox => {
+            checkbox.checked = this.importOptions[checkbox.dataset.option];
+        });
+        this.update();
+        return true;
+    }
+
+    async update() {
+        const file = this.file;
+        const previousCount = this.sections?.length;
+        this.sections = null;
+        this.elements.confirmBtn.disabled = true;
+        this.elements.summary.textContent = 'Reading…';
+
+        try {
+            const { sections, metadata } = await importFile(file, this.importOptions);
+            if (file !== this.file) return; // Another file was opened meanwhile
+
+            // Section count can change with the options, so choices from a previous parse don't carry over
+            if (previousCount !== sections.length) this.excluded.clear();
+            this.sections = sections;
+            this.metadata = metadata;
+            this.renderToc();
+            this.renderPreview();
+        } catch (error) {
+            if (file !== this.file) return;
+            this.elements.summary.textContent = '';
+            this.elements.preview.value = '';
+            this.elements.tocWrap.style.display = 'none';
+            this.status('Import failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Named sections (chapters, or headings when they start pages) can be left out one by one
+     */
+    renderToc() {
+        const named = this.sections.some(section => section.title);
+        this.elements.tocWrap.style.display = named ? '' : 'none';
+        if (!named) return;
+
+        this.elements.toc.innerHTML = this.sections
+            .map((section, i) => `
+                <label class="import-toc-item">
+                    <input type="checkbox" data-section="${i}" ${this.excluded.has(i) ? '' : 'checked'}>
+                    <span class="import-toc-title">${this.escape(section.title || `Page ${i + 1}`)}</span>
+                    <span class="import-toc-size">${section.text.length}</span>
+                </label>
+            `)
+            .join('');
+    }
+
+    renderPreview() {
+        const sections = this.getIncludedSections();
+        const chars = sections.reduce((sum, section) => sum + section.text.length, 0);
+        const noun = this.sections.some(section => section.title) ? 'section' : 'page';
+        this.elements.summary.textContent =
+            `${sections.length} ${noun}${sections.length === 1 ? '' : 's'} · ${chars} characters`;
+        this.elements.preview.value = sections
+            .map((section, i) => sections.length > 1 || section.title
+                ? `── ${section.title || `Page ${i + 1}`} ──\n${section.text}`
+                : section.text)
+            .join('\n\n');
+        this.elements.confirmBtn.disabled = chars === 0;
+    }
+
+    getIncludedSections() {
+        return (this.sections || []).filter((section, i) => !this.excluded.has(i));
+    }
+
+    reset() {
+        this.file = null;
+        this.sections = null;
+        this.metadata = {};
+        this.excluded.clear();
+        this.elements.preview.value = '';
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+export default ImportPanel;
@@ -0,0 +1,243 @@
+import { LANGUAGES, getVoiceLanguage } from '../utils/languages.js';
+
+export class LexiconPanel {
+    constructor(container, lexiconService, voiceService, options = {}) {
+        this.container = container;
+        this.lexiconService = lexiconService;
+        this.voiceService = voiceService;
+        this.options = {
+            onDownload: null,  // (url, filename) => void
+            onStatus: null,    // (message, type) => void
+            ...options
+        };
+
+        this._auditionAudio = null;
+        this._auditionUrl = null;
+
+        this.setupDOM();
+        this.bindEvents();
+        this.render();
+    }
+
+    setupDOM() {
+        const languageOptions = Object.entries(LANGUAGES)
+            .map(([code, name]) => `<option value="${code}">${name}</option>`)
+            .join('');
+
+        this.container.innerHTML = `
+            <div class="lexicon-editor">
+                <div class="config-row">
+                    <input type="text" class="drawer-input lexicon-word" placeholder="Word or name..." autocomplete="off">
+                    <button class="config-btn lexicon-phonemize">Phonemize</button>
+                </div>
+                <select class="config-select lexicon-language">
+                    <option value="">Any language</option>
+                    ${languageOptions}
+                </select>
+                <input type="text" class="drawer-input lexicon-phonemes" placeholder="Phonemes (edit to fix pronunciation)" autocomplete="off" spellcheck="false">
+                <div class="config-row">
+                    <button class="config-btn lexicon-audition">Audition</button>
+                    <button class="config-btn lexicon-save">Save Override</button>
+                </div>
+            </div>
+            <div class="lexicon-list"></div>
+            <div class="config-row lexicon-file-controls">
+                <input type="file" class="file-input lexicon-file" accept=".json,application/json">
+                <button class="config-btn lexicon-import">Import JSON</button>
+                <button class="config-btn lexicon-export">Export JSON</button>
+            </div>
+        `;
+
+        this.elements = {
+            word: this.container.querySelector('.lexicon-word'),
+            language: this.container.querySelector('.lexicon-language'),
+            phonemes: this.container.querySelector('.lexicon-phonemes'),
+            phonemizeBtn: this.container.querySelector('.lexicon-phonemize'),
+            auditionBtn: this.container.querySelector('.lexicon-audition'),
+            saveBtn: this.container.querySelector('.lexicon-save'),
+            list: this.container.querySelector('.lexicon-list'),
+            fileInput: this.container.querySelector('.lexicon-file'),
+            importBtn: this.container.querySelector('.lexicon-import'),
+            exportBtn: this.container.querySelector('.lexicon-export')
+        };
+    }
+
+    bindEvents() {
+        this.elements.phonemizeBtn.addEventListener('click', () => this.phonemize());
+        this.elements.word.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.phonemize();
+        });
+
+        this.elements.auditionBtn.addEventListener('click', () => {
+            this.audition(this.elements.phonemes.value.trim());
+        });
+
+        this.elements.saveBtn.addEventListener('click', () => this.saveEntry());
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const entry = this.lexiconService.getEntry(button.dataset.word);
+            if (!entry) return;
+
+            switch (button.dataset.action) {
+                case 'edit':
+                    this.elements.word.value = entry.word;
+                    this.elements.phonemes.value = entry.phonemes;
+                    this.elements.language.value = entry.language || '';
+                    this.elements.phonemes.focus();
+                    break;
+                case 'play':
+                    this.audition(entry.phonemes);
+                    break;
+                case 'delete':
+                    this.lexiconService.removeEntry(entry.word);
+                    this.render();
+                    break;
+            }
+        });
+
+        this.elements.importBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const count = this.lexiconService.importJSON(event.target.result);
+                    this.render();
+                    this.status(`Imported ${count} lexicon entr${count === 1 ? 'y' : 'ies'}`, 'success');
+                } catch (error) {
+                    this.status('Import failed: ' + error.message, 'error');
+                }
+            };
+            reader.readAsText(file);
+            e.target.value = '';
+        });
+
+        this.elements.exportBtn.addEventListener('click', () => {
+            const url = URL.createObjectURL(this.lexiconService.exportJSON());
+            this.options.onDownload?.(url, 'lexicon.json');
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        });
+    }
+
+    render() {
+        const entries = this.lexiconService.getEntries();
+        if (entries.length === 0) {
+            this.elements.list.innerHTML = '<div class="drawer-empty">No pronunciation overrides yet.</div>';
+            return;
+        }
+
+        this.elements.list.innerHTML = entries
+            .map(entry => {
+                const word = this.escape(entry.word);
+                return `
+                <div class="lexicon-item">
+                    <span class="lexicon-item-word" title="${word}">${word}</span>
+                    <span class="lexicon-item-phonemes" title="${this.escape(entry.phonemes)}">/${this.escape(entry.phonemes)}/</span>
+                    <span class="lexicon-item-lang">${entry.language || '*'}</span>
+                    <button class="voice-preview-btn" data-action="play" data-word="${word}" title="Audition">
+                        <svg viewBox="0 0 24 24" width="12" height="12" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>
+                    </button>
+                    <button class="voice-mixer-remove" data-action="edit" data-word="${word}" title="Edit">✎</button>
+                    <button class="voice-mixer-remove" data-action="delete" data-word="${word}" title="Delete">×</button>
+                </div>
+            `})
+            .join('');
+    }
+
+    getLanguage() {
+        return this.elements.language.value ||
+            getVoiceLanguage(this.voiceService.getSelectedVoices()[0]) ||
+            'a';
+    }
+
+    async phonemize() {
+        const word = this.elements.word.value.trim();
+        if (!word) {
+            this.status('Enter a word to phonemize', 'error');
+            return;
+        }
+
+        this.elements.phonemizeBtn.disabled = true;
+        try {
+            this.elements.phonemes.value = await this.lexiconService.phonemize(word, this.getLanguage());
+            this.elements.phonemes.focus();
+        } catch (error) {
+            this.status('Phonemize failed: ' + error.message, 'error');
+        } finally {
+            this.elements.phonemizeBtn.disabled = false;
+        }
+    }
+
+    async audition(phonemes) {
+        const voice = this.voiceService.getSelectedVoices()[0];
+        if (!phonemes) {
+            this.status('Nothing to audition — phonemize a word first', 'error');
+            return;
+        }
+        if (!voice) {
+            this.status('Please select a voice', 'error');
+            return;
+        }
+
+        this.stopAudition();
+        this.elements.auditionBtn.disabled = true;
+        try {
+            const blob = await this.lexiconService.audition(phonemes, voice);
+            this._auditionUrl = URL.createObjectURL(blob);
+            this._auditionAudio = new Audio(this._auditionUrl);
+            this._auditionAudio.addEventListener('ended', () => this.stopAudition());
+            await this._auditionAudio.play();
+        } catch (error) {
+            this.status('Audition failed: ' + error.message, 'error');
+            this.stopAudition();
+        } finally {
+            this.elements.auditionBtn.disabled = false;
+        }
+    }
+
+    stopAudition() {
+        if (this._auditionAudio) {
+            this._auditionAudio.pause();
+            this._auditionAudio = null;
+        }
+        if (this._auditionUrl) {
+            URL.revokeObjectURL(this._auditionUrl);
+            this._auditionUrl = null;
+        }
+    }
+
+    saveEntry() {
+        try {
+            this.lexiconService.setEntry({
+                word: this.elements.word.value,
+                phonemes: this.elements.phonemes.value,
+                language: this.elements.language.value
+            });
+            this.elements.word.value = '';
+            this.elements.phonemes.value = '';
+            this.render();
+            this.status('Pronunciation saved', 'success');
+        } catch (error) {
+            this.status(error.message, 'error');
+        }
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    cleanup() {
+        this.stopAudition();
+    }
+}
+
+export default LexiconPanel;
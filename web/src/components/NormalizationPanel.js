@@ -0,0 +1,188 @@
+// What each option does, with an example of how the server reads it either way
+const OPTION_INFO = {
+    normalize: {
+        label: 'Normalize text',
+        description: 'Master switch — numbers, money and times are spelled out',
+        example: '$1,024.50',
+        on: 'one thousand and twenty-four dollars and fifty cents',
+        off: 'read as written'
+    },
+    url_normalization: {
+        label: 'URLs',
+        example: 'https://example.com/docs',
+        on: 'https example dot com slash docs'
+    },
+    email_normalization: {
+        label: 'Email addresses',
+        example: 'team@example.com',
+        on: 'team at example dot com'
+    },
+    unit_normalization: {
+        label: 'Units',
+        example: '10KB, 5ms',
+        on: 'ten kilobytes, five milliseconds'
+    },
+    phone_normalization: {
+        label: 'Phone numbers',
+        example: '555-123-4567',
+        on: 'five five five, one two three, four five six seven'
+    },
+    optional_pluralization_normalization: {
+        label: 'Optional plurals',
+        example: 'file(s)',
+        on: 'files'
+    },
+    replace_remaining_symbols: {
+        label: 'Symbols',
+        example: 'R&D + QA',
+        on: 'R and D plus QA'
+    }
+};
+
+const SAMPLE_TEXT = 'Read the docs at https://example.com/docs, email team@example.com or call 555-123-4567. ' +
+    'Each file(s) upload is capped at 10KB & costs $1,024.50.';
+
+export class NormalizationPanel {
+    constructor(container, normalizationService, voiceService, options = {}) {
+        this.container = container;
+        this.normalizationService = normalizationService;
+        this.voiceService = voiceService;
+        this.options = {
+            onChange: null,  // (options) => void
+            onStatus: null,  // (message, type) => void
+            ...options
+        };
+
+        this._previewAudio = null;
+        this._previewUrl = null;
+
+        this.setupDOM();
+        this.bindEvents();
+        this.render();
+    }
+
+    setupDOM() {
+        const rows = Object.entries(OPTION_INFO)
+            .map(([key, info]) => `
+                <div class="normalization-option" data-option="${key}">
+                    <label class="config-toggle">
+                        <input type="checkbox" data-option="${key}">
+                        <span class="toggle-track"></span>
+                        <span>${info.label}</span>
+                    </label>
+                    ${info.description ? `<div class="config-hint">${info.description}</div>` : ''}
+                    <div class="normalization-example">
+                        <code>${info.example}</code> → <span class="normalization-result"></span>
+                    </div>
+                </div>
+            `)
+            .join('');
+
+        this.container.innerHTML = `
+            <div class="normalization-options">${rows}</div>
+            <div class="normalization-preview">
+                <span class="config-label">Preview</span>
+                <textarea class="drawer-input normalization-sample" rows="4" spellcheck="false">${SAMPLE_TEXT}</textarea>
+                <div class="config-row">
+                    <button class="config-btn normalization-listen">Listen</button>
+                    <button class="config-btn normalization-reset">Reset to Defaults</button>
+                </div>
+            </div>
+        `;
+
+        this.elements = {
+            checkboxes: this.container.querySelectorAll('input[data-option]'),
+            sample: this.container.querySelector('.normalization-sample'),
+            listenBtn: this.container.querySelector('.normalization-listen'),
+            resetBtn: this.container.querySelector('.normalization-reset')
+        };
+    }
+
+    bindEvents() {
+        this.elements.checkboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.normalizationService.setOption(checkbox.dataset.option, checkbox.checked);
+                this.render();
+                this.options.onChange?.(this.normalizationService.getOptions());
+            });
+        });
+
+        this.elements.resetBtn.addEventListener('click', () => {
+            this.normalizationService.reset();
+            this.render();
+            this.options.onChange?.(this.normalizationService.getOptions());
+        });
+
+        this.elements.listenBtn.addEventListener('click', () => this.listen());
+    }
+
+    render() {
+        const options = this.normalizationService.getOptions();
+
+        this.elements.checkboxes.forEach(checkbox => {
+            const key = checkbox.dataset.option;
+            // Every other option only applies while normalization is on
+            const active = key === 'normalize' || options.normalize;
+            checkbox.checked = options[key];
+            checkbox.disabled = !active;
+
+            const row = checkbox.closest('.normalization-option');
+            const info = OPTION_INFO[key];
+            row.classList.toggle('inactive', !active);
+            row.querySelector('.normalization-result').textContent = options[key] && active
+                ? info.on
+                : (info.off || 'read as written');
+        });
+
+        this.elements.resetBtn.disabled = this.normalizationService.isDefault();
+    }
+
+    async listen() {
+        const text = this.elements.sample.value.trim();
+        const voice = this.voiceService.getSelectedVoiceString();
+        if (!text) {
+            this.status('Enter some sample text to preview', 'error');
+            return;
+        }
+        if (!this.voiceService.hasSelectedVoices()) {
+            this.status('Please select a voice', 'error');
+            return;
+        }
+
+        this.stopPreview();
+        this.elements.listenBtn.disabled = true;
+        try {
+            const blob = await this.normalizationService.preview(text, voice);
+            this._previewUrl = URL.createObjectURL(blob);
+            this._previewAudio = new Audio(this._previewUrl);
+            this._previewAudio.addEventListener('ended', () => this.stopPreview());
+            await this._previewAudio.play();
+        } catch (error) {
+            this.status('Preview failed: ' + error.message, 'error');
+            this.stopPreview();
+        } finally {
+            this.elements.listenBtn.disabled = false;
+        }
+    }
+
+    stopPreview() {
+        if (this._previewAudio) {
+            this._previewAudio.pause();
+            this._previewAudio = null;
+        }
+        if (this._previewUrl) {
+            URL.revokeObjectURL(this._previewUrl);
+            this._previewUrl = null;
+        }
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    cleanup() {
+        this.stopPreview();
+    }
+}
+
+export default NormalizationPanel;
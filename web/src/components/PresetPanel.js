@@ -0,0 +1,124 @@
+export class PresetPanel {
+    constructor(container, presetService, options = {}) {
+        this.container = container;
+        this.presetService = presetService;
+        this.options = {
+            getSettings: null,  // () => settings to save
+            onApply: null,      // (preset) => void
+            onShare: null,      // () => Promise, copies a link to the current session
+            onStatus: null,     // (message, type) => void
+            ...options
+        };
+
+        this.setupDOM();
+        this.bindEvents();
+        this.render();
+    }
+
+    setupDOM() {
+        this.container.innerHTML = `
+            <div class="preset-share">
+                <span class="config-label">Share</span>
+                <div class="config-hint">Copies a link with the script, voices, speed, format and toggles.</div>
+                <button class="config-btn preset-share-btn">Copy Link</button>
+            </div>
+            <span class="config-label">Presets</span>
+            <div class="config-row">
+                <input type="text" class="drawer-input preset-name" placeholder="Name the current settings..." autocomplete="off">
+                <button class="config-btn preset-save">Save</button>
+            </div>
+            <div class="preset-list"></div>
+        `;
+
+        this.elements = {
+            shareBtn: this.container.querySelector('.preset-share-btn'),
+            name: this.container.querySelector('.preset-name'),
+            saveBtn: this.container.querySelector('.preset-save'),
+            list: this.container.querySelector('.preset-list')
+        };
+    }
+
+    bindEvents() {
+        this.elements.shareBtn.addEventListener('click', async () => {
+            this.elements.shareBtn.disabled = true;
+            try {
+                await this.options.onShare?.();
+            } finally {
+                this.elements.shareBtn.disabled = false;
+            }
+        });
+
+        this.elements.saveBtn.addEventListener('click', () => this.saveCurrent());
+        this.elements.name.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveCurrent();
+        });
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const preset = this.presetService.getPreset(button.dataset.name);
+            if (!preset) return;
+
+            if (button.dataset.action === 'apply') {
+                this.options.onApply?.(preset);
+            } else if (button.dataset.action === 'delete') {
+                this.presetService.removePreset(preset.name);
+                this.render();
+            }
+        });
+    }
+
+    render() {
+        const presets = this.presetService.getPresets();
+        if (presets.length === 0) {
+            this.elements.list.innerHTML = '<div class="drawer-empty">Saved settings appear here.</div>';
+            return;
+        }
+
+        this.elements.list.innerHTML = presets
+            .map(preset => {
+                const name = this.escape(preset.name);
+                return `
+                <div class="blend-item">
+                    <button class="blend-apply" data-action="apply" data-name="${name}" title="Use these settings">
+                        <span class="blend-item-name">${name}</span>
+                        <span class="blend-item-voices">${this.escape(this.describe(preset.settings))}</span>
+                    </button>
+                    <button class="voice-mixer-remove" data-action="delete" data-name="${name}" title="Delete">×</button>
+                </div>
+            `})
+            .join('');
+    }
+
+    describe(settings) {
+        const voices = (settings.voices || [])
+            .map(({ voice, weight }) => settings.voices.length > 1 ? `${voice} ${weight}%` : voice)
+            .join(' + ');
+        return [voices, `${settings.speed}×`, (settings.format || 'mp3').toUpperCase()]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    saveCurrent() {
+        try {
+            const preset = this.presetService.savePreset(this.elements.name.value, this.options.getSettings());
+            this.elements.name.value = '';
+            this.render();
+            this.status(`Saved preset "${preset.name}"`, 'success');
+        } catch (error) {
+            this.status(error.message, 'error');
+        }
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+export default PresetPanel;
@@ -0,0 +1,123 @@
+export class ProjectPanel {
+    constructor(container, projectService, options = {}) {
+        this.container = container;
+        this.projectService = projectService;
+        this.options = {
+            onCreate: null,  // (name) => void
+            onSwitch: null,  // (id) => void
+            onDelete: null,  // (id) => void
+            onStatus: null,  // (message, type) => void
+            ...options
+        };
+
+        this.renamingId = null;
+
+        this.setupDOM();
+        this.bindEvents();
+        this.render();
+    }
+
+    setupDOM() {
+        this.container.innerHTML = `
+            <div class="config-row">
+                <input type="text" class="drawer-input project-name" placeholder="New project name..." autocomplete="off">
+                <button class="config-btn project-create">New</button>
+            </div>
+            <div class="config-hint">Each project keeps its own script, voices and settings. Changes save automatically.</div>
+            <div class="project-list"></div>
+        `;
+
+        this.elements = {
+            name: this.container.querySelector('.project-name'),
+            createBtn: this.container.querySelector('.project-create'),
+            list: this.container.querySelector('.project-list')
+        };
+    }
+
+    bindEvents() {
+        this.elements.createBtn.addEventListener('click', () => this.create());
+        this.elements.name.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.create();
+        });
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const id = button.dataset.id;
+
+            switch (button.dataset.action) {
+                case 'open':
+                    if (id !== this.projectService.activeId) this.options.onSwitch?.(id);
+                    break;
+                case 'rename':
+                    this.renamingId = id;
+                    this.render();
+                    this.elements.list.querySelector('.project-rename')?.select();
+                    break;
+                case 'delete':
+                    this.options.onDelete?.(id);
+                    break;
+            }
+        });
+
+        // Rename commits on Enter or when the field loses focus, Escape cancels
+        this.elements.list.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('project-rename')) return;
+            if (e.key === 'Enter') {
+                e.target.blur();
+            } else if (e.key === 'Escape') {
+                this.renamingId = null;
+                this.render();
+            }
+        });
+        this.elements.list.addEventListener('focusout', (e) => {
+            if (!e.target.classList.contains('project-rename') || !this.renamingId) return;
+            this.projectService.renameProject(this.renamingId, e.target.value);
+            this.renamingId = null;
+            this.render();
+        });
+    }
+
+    render() {
+        const activeId = this.projectService.activeId;
+        this.elements.list.innerHTML = this.projectService.getProjects()
+            .map(project => {
+                const name = this.escape(project.name);
+                const meta = `${project.text.length} characters · ${new Date(project.updatedAt).toLocaleString()}`;
+                const label = project.id === this.renamingId
+                    ? `<input type="text" class="drawer-input project-rename" value="${name}" autocomplete="off">`
+                    : `<button class="blend-apply" data-action="open" data-id="${project.id}" title="Open project">
+                           <span class="blend-item-name">${name}</span>
+                           <span class="blend-item-voices">${meta}</span>
+                       </button>`;
+                return `
+                <div class="blend-item project-item ${project.id === activeId ? 'active' : ''}">
+                    ${label}
+                    <button class="voice-mixer-remove" data-action="rename" data-id="${project.id}" title="Rename">✎</button>
+                    <button class="voice-mixer-remove" data-action="delete" data-id="${project.id}" title="Delete">×</button>
+                </div>
+            `})
+            .join('');
+    }
+
+    create() {
+        try {
+            this.options.onCreate?.(this.elements.name.value);
+            this.elements.name.value = '';
+        } catch (error) {
+            this.status(error.message, 'error');
+        }
+    }
+
+    status(message, type) {
+        this.options.onStatus?.(message, type);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+export default ProjectPanel;
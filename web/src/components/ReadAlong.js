@@ -0,0 +1,153 @@
+export class ReadAlong {
+    constructor(container, audioService) {
+        this.container = container;
+        this.audioService = audioService;
+        this.timestamps = [];
+        this.wordElements = [];
+        this.activeIndex = -1;
+        this.frame = null;
+
+        this.setupDOM();
+        this.bindEvents();
+    }
+
+    setupDOM() {
+        this.container.innerHTML = `
+            <div class="read-along-header">
+                <span class="read-along-title">Read-along</span>
+                <span class="read-along-hint">Click a word to jump there</span>
+            </div>
+            <div class="read-along-words">
+                <span class="read-along-empty">Generate audio to see captions here.</span>
+            </div>
+        `;
+
+        this.elements = {
+            words: this.container.querySelector('.read-along-words')
+        };
+    }
+
+    bindEvents() {
+        // Seek to a word when it is clicked (delegated, the word list is re-rendered on clear)
+        this.container.addEventListener('click', (e) => {
+            const word = e.target.closest('.read-along-word');
+            if (!word) return;
+            const start = parseFloat(word.dataset.start);
+            if (!isNaN(start)) {
+                this.audioService.seek(start);
+                this.highlightAt(start);
+            }
+        });
+
+        this.audioService.addEventListener('timestamps', (timestamps) => {
+            this.setTimestamps(timestamps);
+        });
+
+        this.audioService.addEventListener('play', () => this.startTracking());
+        this.audioService.addEventListener('pause', () => this.stopTracking());
+        this.audioService.addEventListener('ended', () => {
+            this.stopTracking();
+            this.highlight(-1);
+        });
+    }
+
+    setVisible(visible) {
+        this.container.classList.toggle('show', visible);
+    }
+
+    /**
+     * Render word timestamps, appending only words not already shown
+     * so streamed captions don't reset the highlight
+     * @param {Array<{word: string, start_time: number, end_time: number}>} timestamps
+     */
+    setTimestamps(timestamps) {
+        if (this.wordElements.length === 0) {
+            this.elements.words.innerHTML = '';
+        }
+
+        for (let i = this.wordElements.length; i < timestamps.length; i++) {
+            const { word, start_time } = timestamps[i];
+
+            // Punctuation tokens attach to the previous word
+            if (i > 0 && !/^[.,!?;:%)\]}'"…]/.test(word)) {
+                this.elements.words.appendChild(document.createTextNode(' '));
+            }
+
+            const span = document.createElement('span');
+            span.className = 'read-along-word';
+            span.dataset.index = i;
+            span.dataset.start = start_time;
+            span.textContent = word;
+            this.elements.words.appendChild(span);
+            this.wordElements.push(span);
+        }
+
+        this.timestamps = timestamps.slice();
+    }
+
+    clear() {
+        this.stopTracking();
+        this.timestamps = [];
+        this.wordElements = [];
+        this.activeIndex = -1;
+        this.setupDOM();
+    }
+
+    startTracking() {
+        if (this.frame) return;
+        const tick = () => {
+            this.highlightAt(this.audioService.getCurrentTime());
+            this.frame = requestAnimationFrame(tick);
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    stopTracking() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    highlightAt(time) {
+        this.highlight(this.findWordIndex(time));
+    }
+
+    /**
+     * Find the last word that started at or before the given time
+     * @param {number} time - Playback position in seconds
+     * @returns {number} Word index, or -1 before the first word
+     */
+    findWordIndex(time) {
+        let low = 0;
+        let high = this.timestamps.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.timestamps[mid].start_time <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    highlight(index) {
+        if (index === this.activeIndex) return;
+
+        this.wordElements.forEach((el, i) => {
+            el.classList.toggle('active', i === index);
+            el.classList.toggle('spoken', index >= 0 && i < index);
+        });
+        this.activeIndex = index;
+
+        const active = this.wordElements[index];
+        if (active) {
+            active.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+}
+
+export default ReadAlong;
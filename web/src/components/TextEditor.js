@@ -1,17 +1,26 @@
+import { MAX_REQUEST_CHARS } from '../utils/text.js';
+import { parseMarkup } from '../utils/markup.js';
+
 export default class TextEditor {
     constructor(container, options = {}) {
         this.options = {
             charsPerPage: 500,  // Default to 500 chars per page
+            maxChars: MAX_REQUEST_CHARS,  // Per-request limit, null for long-form
             onTextChange: null,
+            onFileSelected: null,  // (file) => void, replaces the plain text upload
             ...options
         };
         
         this.container = container;
         this.currentPage = 1;
         this.pages = [''];
+        this.pageTitles = [];  // Section names by page, such as book chapters; empty for plain pages
         this.charCount = 0;
         this.fullText = '';
         this.isTyping = false;
+        this.knownVoices = null;  // Voice IDs used to check [voice] tags
+        this.clearedState = null;  // Pages removed by the last Clear, until undone or edited
+        this.undoTimer = null;
         
         this.setupDOM();
         this.bindEvents();
@@ -27,16 +36,22 @@ export default class TextEditor {
                             <span class="page-info">Page 1 of 1</span>
                             <button class="next-btn">Next →</button>
                         </div>
+                        <select class="section-select" title="Jump to section" style="display: none;"></select>
+                    </div>
+                    <div class="page-content-wrap">
+                        <div class="markup-backdrop" aria-hidden="true"></div>
+                        <textarea
+                            class="page-content"
+                            placeholder="Enter text to convert to speech... Tags like [pause 800ms], [speed 0.8]...[/speed] and [voice bf_emma]...[/voice] are supported."
+                        ></textarea>
                     </div>
-                    <textarea
-                        class="page-content"
-                        placeholder="Enter text to convert to speech..."
-                    ></textarea>
+                    <div class="markup-errors"></div>
                     <div class="editor-footer">
                         <div class="file-controls">
-                            <input type="file" class="file-input" accept=".txt" style="display: none;">
+                            <input type="file" class="file-input" accept=".txt,.md,.markdown,.html,.htm,.docx,.epub,.srt,.vtt" style="display: none;">
                             <button class="upload-btn">Upload Text</button>
                             <button class="clear-btn">Clear Text</button>
+                            <button class="undo-clear-btn" style="display: none;">Undo Clear</button>
                         </div>
                         <div class="chars-per-page">
                             <input
@@ -59,12 +74,16 @@ export default class TextEditor {
         // Cache DOM elements
         this.elements = {
             pageContent: this.container.querySelector('.page-content'),
+            markupBackdrop: this.container.querySelector('.markup-backdrop'),
+            markupErrors: this.container.querySelector('.markup-errors'),
             prevBtn: this.container.querySelector('.prev-btn'),
             nextBtn: this.container.querySelector('.next-btn'),
             pageInfo: this.container.querySelector('.page-info'),
+            sectionSelect: this.container.querySelector('.section-select'),
             fileInput: this.container.querySelector('.file-input'),
             uploadBtn: this.container.querySelector('.upload-btn'),
             clearBtn: this.container.querySelector('.clear-btn'),
+            undoClearBtn: this.container.querySelector('.undo-clear-btn'),
             charCount: this.container.querySelector('.char-count'),
             charsPerPage: this.container.querySelector('.chars-input'),
             formatBtn: this.container.querySelector('.format-btn')
@@ -84,20 +103,36 @@ export default class TextEditor {
             if (!newContent.trim() && this.pages.length > 1) {
                 // Remove the empty page and adjust
                 this.pages.splice(this.currentPage - 1, 1);
+                this.pageTitles.splice(this.currentPage - 1, 1);
                 this.currentPage = Math.min(this.currentPage, this.pages.length);
+                this.renderSectionSelect();
                 this.updatePageDisplay();
             }
             
+            // Typing after a clear makes the old text stale, so undo no longer applies
+            this.setUndoClear(null);
+
             // Update full text and char count - join with space since pages are just for UI
             this.fullText = this.pages.join(' ');
             this.updateCharCount();
+            this.updateMarkup();
             
             if (this.options.onTextChange) {
                 this.options.onTextChange(this.fullText);
             }
         });
 
+        // Keep the highlight layer aligned with the textarea
+        this.elements.pageContent.addEventListener('scroll', () => {
+            this.elements.markupBackdrop.scrollTop = this.elements.pageContent.scrollTop;
+        });
+
         // Navigation
+        this.elements.sectionSelect.addEventListener('change', (e) => {
+            this.currentPage = parseInt(e.target.value, 10);
+            this.updatePageDisplay();
+        });
+
         this.elements.prevBtn.addEventListener('click', () => {
             if (this.currentPage > 1) {
                 this.currentPage--;
@@ -119,7 +154,11 @@ export default class TextEditor {
         
         this.elements.fileInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
-            if (file) {
+            // Reset so picking the same file again still fires change
+            e.target.value = '';
+            if (file && this.options.onFileSelected) {
+                this.options.onFileSelected(file);
+            } else if (file) {
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     this.setText(e.target.result);
@@ -131,14 +170,24 @@ export default class TextEditor {
             }
         });
 
-        // Clear text
+        // Clear text, keeping it around briefly so the clear can be undone
         this.elements.clearBtn.addEventListener('click', () => {
+            if (!this.fullText) return;
+            const cleared = {
+                fullText: this.fullText,
+                pages: [...this.pages],
+                pageTitles: [...this.pageTitles],
+                currentPage: this.currentPage
+            };
             this.clear();
+            this.setUndoClear(cleared);
             if (this.options.onTextChange) {
                 this.options.onTextChange('');
             }
         });
 
+        this.elements.undoClearBtn.addEventListener('click', () => this.undoClear());
+
         // Cache format button
         this.elements.formatBtn = this.container.querySelector('.format-btn');
 
@@ -161,6 +210,10 @@ export default class TextEditor {
     }
 
     splitIntoPages(text) {
+        // Reflowed pages no longer line up with named sections
+        this.pageTitles = [];
+        this.renderSectionSelect();
+
         if (!text || !text.trim()) {
             this.pages = [''];
             this.fullText = '';
@@ -204,18 +257,66 @@ export default class TextEditor {
         this.updateCharCount();
     }
 
+    /**
+     * Load text already split into sections, one page each, such as an imported document
+     * @param {Array<{title: string|null, text: string}>} sections
+     */
+    setSections(sections) {
+        this.setUndoClear(null);
+        const pages = sections.length > 0 ? sections : [{ title: null, text: '' }];
+        this.pages = pages.map(section => section.text);
+        this.pageTitles = pages.map(section => section.title || null);
+        this.fullText = this.pages.join('\n\n');
+        this.currentPage = 1;
+        this.renderSectionSelect();
+        this.updatePageDisplay();
+        this.updateCharCount();
+    }
+
+    /**
+     * @returns {Array<{title: string|null, text: string}>} One section per page
+     */
+    getSections() {
+        return this.pages.map((text, i) => ({ title: this.pageTitles[i] || null, text }));
+    }
+
+    hasSections() {
+        return this.pageTitles.some(Boolean);
+    }
+
+    renderSectionSelect() {
+        const select = this.elements.sectionSelect;
+        select.style.display = this.hasSections() ? '' : 'none';
+        select.innerHTML = this.hasSections()
+            ? this.pages
+                .map((page, i) => `<option value="${i + 1}">${i + 1}. ${this.escape(this.pageTitles[i] || `Page ${i + 1}`)}</option>`)
+                .join('')
+            : '';
+    }
+
     setText(text) {
         // Just set the text without splitting into pages
+        this.setUndoClear(null);
         this.fullText = text;
         this.pages = [text];
+        this.pageTitles = [];
         this.currentPage = 1;
+        this.renderSectionSelect();
         this.updatePageDisplay();
         this.updateCharCount();
     }
 
     updatePageDisplay() {
         this.elements.pageContent.value = this.pages[this.currentPage - 1] || '';
-        this.elements.pageInfo.textContent = `Page ${this.currentPage} of ${this.pages.length}`;
+        const title = this.pageTitles[this.currentPage - 1];
+        this.elements.pageInfo.textContent = title
+            ? `${title} · ${this.currentPage} of ${this.pages.length}`
+            : `Page ${this.currentPage} of ${this.pages.length}`;
+        this.elements.pageInfo.title = title || '';
+        if (this.hasSections()) {
+            this.elements.sectionSelect.value = this.currentPage;
+        }
+        this.updateMarkup();
         
         // Update button states
         this.elements.prevBtn.disabled = this.currentPage === 1;
@@ -224,9 +325,66 @@ export default class TextEditor {
 
     updateCharCount() {
         const totalChars = this.fullText.length;
-        this.elements.charCount.textContent = `${totalChars} / 750`;
-        this.elements.charCount.classList.toggle('warning', totalChars > 700 && totalChars <= 750);
-        this.elements.charCount.classList.toggle('over-limit', totalChars > 750);
+        const maxChars = this.options.maxChars;
+        if (!maxChars) {
+            this.elements.charCount.textContent = `${totalChars} characters`;
+            this.elements.charCount.classList.remove('warning', 'over-limit');
+            return;
+        }
+        this.elements.charCount.textContent = `${totalChars} / ${maxChars}`;
+        this.elements.charCount.classList.toggle('warning', totalChars > maxChars - 50 && totalChars <= maxChars);
+        this.elements.charCount.classList.toggle('over-limit', totalChars > maxChars);
+    }
+
+    setMaxChars(maxChars) {
+        this.options.maxChars = maxChars;
+        this.updateCharCount();
+    }
+
+    /**
+     * Set the voices [voice] tags are checked against
+     * @param {string[]} voices - Available voice IDs
+     */
+    setKnownVoices(voices) {
+        this.knownVoices = voices;
+        this.updateMarkup();
+    }
+
+    /**
+     * Check markup across all pages and highlight the tags on the current one
+     * @returns {Object[]} Markup errors
+     */
+    updateMarkup() {
+        // Tags can open on one page and close on another, so parse the joined pages
+        const text = this.pages.join(' ');
+        const { tokens, errors } = parseMarkup(text, { voices: this.knownVoices });
+        const pageStart = this.pages
+            .slice(0, this.currentPage - 1)
+            .reduce((sum, page) => sum + page.length + 1, 0);
+        const pageEnd = pageStart + (this.pages[this.currentPage - 1] || '').length;
+
+        const html = tokens
+            .filter(token => token.end > pageStart && token.start < pageEnd)
+            .map(token => {
+                const content = this.escape(text.slice(Math.max(token.start, pageStart), Math.min(token.end, pageEnd)));
+                if (token.type === 'text') return content;
+                const className = token.error ? 'markup-tag markup-invalid' : `markup-tag markup-${token.name}`;
+                return `<mark class="${className}">${content}</mark>`;
+            })
+            .join('');
+        // A trailing newline needs content after it to take up a line like it does in the textarea
+        this.elements.markupBackdrop.innerHTML = html + '\n ';
+        this.elements.markupBackdrop.scrollTop = this.elements.pageContent.scrollTop;
+
+        this.elements.markupErrors.textContent = errors.length
+            ? errors[0].message + (errors.length > 1 ? ` (+${errors.length - 1} more)` : '')
+            : '';
+        this.elements.markupErrors.style.display = errors.length ? 'block' : 'none';
+        return errors;
+    }
+
+    escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     }
 
     prevPage() {
@@ -243,6 +401,32 @@ export default class TextEditor {
         }
     }
 
+    setUndoClear(state) {
+        clearTimeout(this.undoTimer);
+        this.clearedState = state;
+        this.elements.undoClearBtn.style.display = state ? '' : 'none';
+        if (state) {
+            this.undoTimer = setTimeout(() => this.setUndoClear(null), 30000);
+        }
+    }
+
+    undoClear() {
+        const state = this.clearedState;
+        if (!state) return;
+        this.setUndoClear(null);
+
+        this.fullText = state.fullText;
+        this.pages = state.pages;
+        this.pageTitles = state.pageTitles;
+        this.currentPage = state.currentPage;
+        this.renderSectionSelect();
+        this.updatePageDisplay();
+        this.updateCharCount();
+        if (this.options.onTextChange) {
+            this.options.onTextChange(this.fullText);
+        }
+    }
+
     getText() {
         return this.fullText;
     }
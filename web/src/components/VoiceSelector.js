@@ -1,15 +1,25 @@
 export class VoiceSelector {
-    constructor(voiceService) {
+    constructor(voiceService, options = {}) {
         this.voiceService = voiceService;
+        this.options = {
+            onSelectionChange: null,  // (voices) => void
+            ...options
+        };
         this.elements = {
             voiceSearch: document.getElementById('voice-search'),
             voiceDropdown: document.getElementById('voice-dropdown'),
             voiceOptions: document.getElementById('voice-options'),
+            voiceFacets: document.getElementById('voice-facets'),
+            languageFacet: document.getElementById('voice-language-facet'),
+            groupBy: document.getElementById('voice-group-by'),
+            legacyFacet: document.getElementById('voice-legacy-facet'),
             selectedVoices: document.getElementById('selected-voices')
         };
         
         this._previewAudio = null; // Shared Audio element for voice previews
         this._previewingVoice = null; // Currently previewing voice name
+        this._previewLoading = false; // Preview is being generated
+        this.facets = { langCode: '', gender: '', includeLegacy: true };
         
         this.setupEventListeners();
     }
@@ -31,9 +41,36 @@ export class VoiceSelector {
         });
 
         // Voice search
-        this.elements.voiceSearch.addEventListener('input', (e) => {
-            const filteredVoices = this.voiceService.filterVoices(e.target.value);
-            this.renderVoiceOptions(filteredVoices);
+        this.elements.voiceSearch.addEventListener('input', () => {
+            this.renderVoiceOptions();
+        });
+
+        // Facet filters
+        this.elements.languageFacet.addEventListener('change', (e) => {
+            this.facets.langCode = e.target.value;
+            this.renderVoiceOptions();
+        });
+
+        this.elements.voiceFacets.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-gender]');
+            if (!chip) return;
+            this.facets.gender = chip.dataset.gender;
+            this.elements.voiceFacets.querySelectorAll('[data-gender]').forEach(c => {
+                c.classList.toggle('active', c === chip);
+            });
+            this.renderVoiceOptions();
+        });
+
+        this.elements.legacyFacet.addEventListener('change', (e) => {
+            this.facets.includeLegacy = e.target.checked;
+            this.renderVoiceOptions();
+        });
+
+        this.elements.groupBy.addEventListener('change', () => this.renderVoiceOptions());
+
+        // Keep the search focused while using the facets, so the dropdown stays open
+        this.elements.voiceFacets.addEventListener('mousedown', (e) => {
+            if (e.target.closest('[data-gender]')) e.preventDefault();
         });
 
         // Voice preview play button
@@ -78,18 +115,43 @@ export class VoiceSelector {
             });
         });
 
-        // Weight adjustment via % slider
+        // Share adjustment via % slider, the other unlocked voices rebalance
         this.elements.selectedVoices.addEventListener('input', (e) => {
             if (e.target.classList.contains('voice-mixer-slider')) {
-                const voice = e.target.dataset.voice;
-                const pct = parseInt(e.target.value, 10);
-                const weight = Math.max(0.1, parseFloat((pct / 10).toFixed(1)));
-                this.voiceService.updateWeight(voice, weight);
-                const label = this.elements.selectedVoices.querySelector(`[data-voice-pct="${voice}"]`);
-                if (label) label.textContent = `${pct}%`;
+                this.voiceService.setShare(e.target.dataset.voice, parseInt(e.target.value, 10));
+                this.syncMixerValues();
+            }
+        });
+
+        // Lock a share, or split the free share evenly
+        this.elements.selectedVoices.addEventListener('click', (e) => {
+            if (e.target.closest('.lock-voice')) {
+                this.voiceService.toggleLock(e.target.closest('.lock-voice').dataset.voice);
+                this.updateSelectedVoicesDisplay();
+            } else if (e.target.closest('.mix-balance-btn')) {
+                this.voiceService.balance();
+                this.syncMixerValues();
             }
         });
 
+        // Editable voice string
+        this.elements.selectedVoices.addEventListener('change', (e) => {
+            if (e.target.classList.contains('voice-mixer-string')) {
+                this.applyVoiceString(e.target.value);
+            }
+        });
+        this.elements.selectedVoices.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('voice-mixer-string')) {
+                e.target.blur(); // Fires change
+            }
+        });
+
+        // Preview the current mix
+        this.elements.selectedVoices.addEventListener('click', (e) => {
+            const previewBtn = e.target.closest('.mix-preview-btn');
+            if (previewBtn) this._togglePreview(previewBtn.dataset.voice);
+        });
+
         // Remove selected voice
         this.elements.selectedVoices.addEventListener('click', (e) => {
             if (e.target.classList.contains('remove-voice')) {
@@ -126,50 +188,171 @@ export class VoiceSelector {
         });
     }
 
-    renderVoiceOptions(voices) {
+    setupFacets() {
+        const languages = new Map();
+        this.voiceService.getVoiceCatalog().forEach(entry => {
+            if (entry.langCode) languages.set(entry.langCode, entry.languageName);
+        });
+        this.elements.languageFacet.innerHTML = '<option value="">All languages</option>' +
+            Array.from(languages.entries())
+                .sort((a, b) => a[1].localeCompare(b[1]))
+                .map(([code, name]) => `<option value="${code}">${name}</option>`)
+                .join('');
+    }
+
+    /**
+     * Split catalog entries into labelled sections for the chosen grouping
+     * @returns {Array<{label: string, entries: Object[]}>}
+     */
+    groupVoices(entries) {
+        const groupBy = this.elements.groupBy.value;
+        const byName = (a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id);
+
+        if (groupBy === 'name') {
+            return [{ label: null, entries: entries.slice().sort(byName) }];
+        }
+
+        const groups = new Map();
+        entries.forEach(entry => {
+            const label = groupBy === 'gender'
+                ? (entry.gender ? entry.gender.charAt(0).toUpperCase() + entry.gender.slice(1) : 'Other')
+                : entry.languageName;
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(entry);
+        });
+
+        return Array.from(groups.entries())
+            // Voices outside the naming scheme go last
+            .sort((a, b) => (a[0] === 'Other') - (b[0] === 'Other') || a[0].localeCompare(b[0]))
+            .map(([label, groupEntries]) => ({ label, entries: groupEntries.sort(byName) }));
+    }
+
+    renderVoiceOptions() {
+        const entries = this.voiceService.getVoiceCatalog(this.elements.voiceSearch.value, this.facets);
+        if (entries.length === 0) {
+            this.elements.voiceOptions.innerHTML = '<div class="voice-options-empty">No voices match</div>';
+            return;
+        }
+
+        this.elements.voiceOptions.innerHTML = this.groupVoices(entries)
+            .map(({ label, entries: groupEntries }) => `
+                ${label ? `<div class="voice-group-header">${label}<span>${groupEntries.length}</span></div>` : ''}
+                ${groupEntries.map(entry => this.renderVoiceOption(entry)).join('')}
+            `)
+            .join('');
+    }
+
+    renderVoiceOption(entry) {
         const samplesAvailable = this.voiceService.getVoiceSamplesAvailable();
-        this.elements.voiceOptions.innerHTML = voices
-            .map(voice => {
-                const hasSample = samplesAvailable.has(voice);
-                const isPlaying = this._previewingVoice === voice;
-                return `
+        const voice = entry.id;
+        const hasSample = samplesAvailable.has(voice);
+        const details = [entry.accent || entry.language, entry.gender].filter(Boolean).join(' · ');
+        return `
                 <div class="voice-option ${this.voiceService.getSelectedVoices().includes(voice) ? 'selected' : ''}" 
-                     data-voice="${voice}">
-                    <span class="voice-option-name">${voice}</span>
-                    ${hasSample ? `<button class="voice-preview-btn ${isPlaying ? 'playing' : ''}" data-voice="${voice}" title="Preview voice">
+                     data-voice="${voice}" title="${details}">
+                    <span class="voice-option-name">
+                        ${entry.name}
+                        <span class="voice-option-id">${voice}</span>
+                        ${entry.legacy ? '<span class="voice-option-badge">v0</span>' : ''}
+                    </span>
+                    ${this._renderPreviewButton(voice, hasSample ? 'Preview voice' : 'Generate a preview')}
+                </div>
+            `;
+    }
+
+    _renderPreviewButton(voice, title, extraClass = '') {
+        const isPlaying = this._previewingVoice === voice;
+        const isLoading = isPlaying && this._previewLoading;
+        return `<button class="voice-preview-btn ${extraClass} ${isPlaying ? 'playing' : ''} ${isLoading ? 'loading' : ''}" data-voice="${voice}" title="${title}">
                         <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
                             ${isPlaying 
                                 ? '<rect x="6" y="5" width="4" height="14"/><rect x="14" y="5" width="4" height="14"/>'
                                 : '<path d="M8 5v14l11-7z"/>'
                             }
                         </svg>
-                    </button>` : ''}
-                </div>
-            `})
-            .join('');
+                    </button>`;
     }
 
     updateSelectedVoicesDisplay() {
         const selectedVoices = this.voiceService.getSelectedVoiceWeights();
         this.elements.selectedVoices.innerHTML = selectedVoices
-            .map(({voice, weight}) => {
-                const pct = Math.round((weight / 10) * 100);
-                return `
-                <div class="voice-mixer-row">
+            .map(({voice, weight, locked}) => `
+                <div class="voice-mixer-row ${locked ? 'locked' : ''}">
                     <span class="voice-mixer-name" title="${voice}">${voice}</span>
                     <input type="range"
                            class="voice-mixer-slider"
                            min="0" max="100" step="1"
-                           value="${pct}"
+                           value="${weight}"
                            data-voice="${voice}"
-                           title="Mix weight">
-                    <span class="voice-mixer-pct" data-voice-pct="${voice}">${pct}%</span>
+                           title="Share of the mix"
+                           ${locked ? 'disabled' : ''}>
+                    <span class="voice-mixer-pct" data-voice-pct="${voice}">${weight}%</span>
+                    <button class="voice-mixer-remove voice-mixer-lock lock-voice" data-voice="${voice}"
+                            title="${locked ? 'Unlock share' : 'Lock share'}">${locked ? '🔒' : '🔓'}</button>
                     <button class="voice-mixer-remove remove-voice" data-voice="${voice}" title="Remove voice">×</button>
                 </div>
-            `})
+            `)
             .join('');
 
+        // Resulting voice string, editable, plus a preview of the whole mix
+        if (selectedVoices.length > 0) {
+            this.elements.selectedVoices.insertAdjacentHTML('beforeend', `
+                <div class="voice-mixer-footer">
+                    <input type="text" class="drawer-input voice-mixer-string" spellcheck="false" autocomplete="off"
+                           value="${this.voiceService.getSelectedVoiceString()}"
+                           title="Edit the blend directly, e.g. af_bella(0.6)+af_sky(0.4)">
+                    <div class="voice-mixer-error"></div>
+                    <div class="voice-mixer-actions">
+                        <div class="voice-mixer-preview">
+                            ${this._renderPreviewButton(this.voiceService.getSelectedVoiceString(), 'Preview the current mix', 'mix-preview-btn')}
+                            <span>Preview mix</span>
+                        </div>
+                        ${selectedVoices.length > 1 ? '<button class="config-btn mix-balance-btn" title="Split unlocked shares evenly">Balance</button>' : ''}
+                    </div>
+                </div>
+            `);
+        }
+
         this.updateSearchPlaceholder();
+        this.options.onSelectionChange?.(this.voiceService.getSelectedVoices());
+    }
+
+    /**
+     * Update sliders, percentages and the voice string in place,
+     * so a slider being dragged isn't re-rendered under the pointer
+     */
+    syncMixerValues() {
+        this.voiceService.getSelectedVoiceWeights().forEach(({ voice, weight }) => {
+            const slider = this.elements.selectedVoices.querySelector(`.voice-mixer-slider[data-voice="${voice}"]`);
+            if (slider && document.activeElement !== slider) slider.value = weight;
+            const label = this.elements.selectedVoices.querySelector(`[data-voice-pct="${voice}"]`);
+            if (label) label.textContent = `${weight}%`;
+        });
+
+        const voiceString = this.voiceService.getSelectedVoiceString();
+        const input = this.elements.selectedVoices.querySelector('.voice-mixer-string');
+        if (input && document.activeElement !== input) input.value = voiceString;
+
+        const previewBtn = this.elements.selectedVoices.querySelector('.mix-preview-btn');
+        if (previewBtn) {
+            previewBtn.dataset.voice = voiceString;
+            this._updatePreviewButton(previewBtn);
+        }
+    }
+
+    applyVoiceString(value) {
+        const error = this.elements.selectedVoices.querySelector('.voice-mixer-error');
+        try {
+            this.voiceService.setSelectedVoices(this.voiceService.parseVoiceString(value));
+            this.refresh();
+        } catch (e) {
+            if (error) error.textContent = e.message;
+        }
+    }
+
+    refresh() {
+        this.renderVoiceOptions();
+        this.updateSelectedVoicesDisplay();
     }
 
     updateSearchPlaceholder() {
@@ -187,12 +370,15 @@ export class VoiceSelector {
         }
     }
 
-    _togglePreview(voice) {
-        // If already playing this voice, stop it
-        if (this._previewingVoice === voice && this._previewAudio) {
-            this._previewAudio.pause();
-            this._previewAudio.currentTime = 0;
+    async _togglePreview(voice) {
+        // If already playing (or loading) this voice, stop it
+        if (this._previewingVoice === voice) {
+            if (this._previewAudio) {
+                this._previewAudio.pause();
+                this._previewAudio.currentTime = 0;
+            }
             this._previewingVoice = null;
+            this._previewLoading = false;
             this._updatePreviewButtons();
             return;
         }
@@ -201,12 +387,32 @@ export class VoiceSelector {
         if (this._previewAudio) {
             this._previewAudio.pause();
             this._previewAudio.currentTime = 0;
+            this._previewAudio = null;
         }
 
-        // Build the sample URL relative to the web player root
-        const sampleUrl = `voice_samples/${voice}.mp3`;
-        this._previewAudio = new Audio(sampleUrl);
         this._previewingVoice = voice;
+        this._previewLoading = true;
+        this._updatePreviewButtons();
+
+        // Bundled sample if there is one, otherwise generated and cached
+        let sampleUrl;
+        try {
+            sampleUrl = await this.voiceService.getPreviewUrl(voice);
+        } catch (error) {
+            console.warn(`Failed to generate a preview for ${voice}:`, error);
+            if (this._previewingVoice === voice) {
+                this._previewingVoice = null;
+                this._previewLoading = false;
+                this._updatePreviewButtons();
+            }
+            return;
+        }
+
+        // Another preview was started (or this one stopped) while generating
+        if (this._previewingVoice !== voice) return;
+
+        this._previewLoading = false;
+        this._previewAudio = new Audio(sampleUrl);
         this._updatePreviewButtons();
 
         this._previewAudio.addEventListener('ended', () => {
@@ -227,20 +433,26 @@ export class VoiceSelector {
     }
 
     _updatePreviewButtons() {
-        this.elements.voiceOptions.querySelectorAll('.voice-preview-btn').forEach(btn => {
-            const voice = btn.dataset.voice;
-            const isPlaying = this._previewingVoice === voice;
-            btn.classList.toggle('playing', isPlaying);
-            btn.querySelector('svg').innerHTML = isPlaying
-                ? '<rect x="6" y="5" width="4" height="14"/><rect x="14" y="5" width="4" height="14"/>'
-                : '<path d="M8 5v14l11-7z"/>';
+        [this.elements.voiceOptions, this.elements.selectedVoices].forEach(container => {
+            container.querySelectorAll('.voice-preview-btn').forEach(btn => this._updatePreviewButton(btn));
         });
     }
 
+    _updatePreviewButton(btn) {
+        const voice = btn.dataset.voice;
+        const isPlaying = this._previewingVoice === voice;
+        btn.classList.toggle('playing', isPlaying);
+        btn.classList.toggle('loading', isPlaying && this._previewLoading);
+        btn.querySelector('svg').innerHTML = isPlaying
+            ? '<rect x="6" y="5" width="4" height="14"/><rect x="14" y="5" width="4" height="14"/>'
+            : '<path d="M8 5v14l11-7z"/>';
+    }
+
     async initialize() {
         try {
             await this.voiceService.loadVoices();
-            this.renderVoiceOptions(this.voiceService.getAvailableVoices());
+            this.setupFacets();
+            this.renderVoiceOptions();
             this.updateSelectedVoicesDisplay();
             return true;
         } catch (error) {
@@ -1,9 +1,15 @@
 export class WaveVisualizer {
-    constructor(playerState) {
+    constructor(playerState, audioService = null) {
         this.playerState = playerState;
+        this.audioService = audioService;
         this.wave = null;
         this.progressBar = null;
+        this.progressLabel = null; // ETA and time to first audio while generating
         this.container = document.getElementById('wave-container');
+        this.isAnimating = false;
+        this.analysisFrame = null;
+        this.level = 0; // Smoothed RMS level driving the wave amplitude
+        this.RMS_GAIN = 4; // Speech RMS rarely exceeds ~0.25, scale it into 0-1
         
         this.setupWave();
         this.setupProgressBar();
@@ -37,6 +43,10 @@ export class WaveVisualizer {
         // Insert inside wave-container at the bottom
         this.container.appendChild(this.progressBar);
         this.progressBar.style.display = 'none';
+
+        this.progressLabel = document.createElement('span');
+        this.progressLabel.className = 'generation-progress-label';
+        this.container.appendChild(this.progressLabel);
     }
 
     setupStateSubscription() {
@@ -54,29 +64,104 @@ export class WaveVisualizer {
             }
 
             // Only animate when playing, stop otherwise
-            if (state.isPlaying) {
+            if (state.isPlaying && !this.isAnimating) {
+                this.isAnimating = true;
                 this.wave.start();
-            } else {
+                this.startAnalysis();
+            } else if (!state.isPlaying && this.isAnimating) {
+                this.isAnimating = false;
+                this.stopAnalysis();
                 this.wave.stop();
             }
         });
     }
 
-    updateProgress(receivedChunks, totalChunks) {
-        if (!totalChunks) return;
+    startAnalysis() {
+        if (!this.audioService || this.analysisFrame) return;
+
+        const tick = () => {
+            this.applyAnalysis(this.audioService.getAnalysisData());
+            this.analysisFrame = requestAnimationFrame(tick);
+        };
+        this.analysisFrame = requestAnimationFrame(tick);
+    }
+
+    stopAnalysis() {
+        if (this.analysisFrame) {
+            cancelAnimationFrame(this.analysisFrame);
+            this.analysisFrame = null;
+        }
+        this.level = 0;
+    }
+
+    applyAnalysis(data) {
+        if (!this.wave) return;
+
+        // No analyser (unsupported browser) - keep the fixed animation
+        if (!data) {
+            this.wave.setAmplitude(1);
+            return;
+        }
+
+        // Fast attack, slow release so the wave follows syllables without flickering
+        const target = Math.min(1, data.rms * this.RMS_GAIN);
+        const smoothing = target > this.level ? 0.5 : 0.12;
+        this.level += (target - this.level) * smoothing;
+        this.wave.setAmplitude(Math.max(0.03, this.level));
+
+        // Map the spectral centroid (roughly 300Hz-3kHz for speech) onto the wave frequency
+        const brightness = Math.min(1, Math.max(0, (data.centroid - 300) / 2700));
+        this.wave.frequency = 2 + brightness * 8;
+        this.wave.setSpeed(0.04 + this.level * 0.2);
+    }
+
+    updateProgress(loaded, total) {
+        if (!total) return;
         
-        // Calculate progress percentage based on chunks
-        const progress = Math.min((receivedChunks / totalChunks) * 100, 99);
+        const progress = Math.min((loaded / total) * 100, 99);
         
         // Always update on 0 progress or when progress increases
-        if (receivedChunks === 0 || progress > this.progressBar.value) {
+        if (loaded === 0 || progress > this.progressBar.value) {
             this.progressBar.style.display = 'block';
             this.progressBar.value = progress;
-            this.playerState.setProgress(receivedChunks, totalChunks);
+            this.playerState.setProgress(loaded, total);
+        }
+    }
+
+    /**
+     * Show how a generation is going next to the progress bar
+     * @param {{eta: number|null, firstAudio: number|null, elapsed: number}|null} progress - From PacingService.update,
+     *        null clears the label
+     */
+    showProgressDetail(progress) {
+        if (!this.progressLabel) return;
+        if (!progress) {
+            this.progressLabel.textContent = '';
+            return;
         }
+
+        const { eta, firstAudio, elapsed } = progress;
+        const parts = [];
+        if (firstAudio === null) {
+            parts.push(`Waiting for audio · ${Math.floor(elapsed)}s`);
+        } else {
+            parts.push(`First audio in ${firstAudio.toFixed(1)}s`);
+        }
+        if (eta !== null) {
+            parts.unshift(`~${this.formatSeconds(eta)} left`);
+        }
+        this.progressLabel.textContent = parts.join(' · ');
+    }
+
+    formatSeconds(seconds) {
+        const rounded = Math.max(1, Math.round(seconds));
+        if (rounded < 60) return `${rounded}s`;
+        return `${Math.floor(rounded / 60)}m ${String(rounded % 60).padStart(2, '0')}s`;
     }
 
     cleanup() {
+        this.stopAnalysis();
+        this.isAnimating = false;
         if (this.wave) {
             this.wave.stop();
             this.wave.dispose();
@@ -91,6 +176,8 @@ export class WaveVisualizer {
             }
             this.progressBar = null;
         }
+        this.progressLabel?.remove();
+        this.progressLabel = null;
         
         // Re-setup wave and progress bar
         this.setupWave();
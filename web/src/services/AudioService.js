@@ -1,76 +1,311 @@
 import { config } from '../config.js';
+import { readMp3 } from '../utils/mp3.js';
+import { getSentenceStarts } from '../utils/text.js';
+import { buildWav, concatWav, parseWav } from '../utils/wav.js';
+import PcmPlayer from './PcmPlayer.js';
+
+const MAX_STREAM_RETRIES = 5;
+const RETRY_BASE_DELAY = 1000; // ms, doubled on each attempt
+const RETRY_MAX_DELAY = 15000;
+const STALL_TIMEOUT = 30000; // ms without a chunk before a stream counts as stalled
+const SPOKEN_CHARS_PER_SECOND = 15; // Typical reading rate at speed 1, to place resumes without timestamps
+
+/**
+ * Error for a connection that broke, stalled or never got through, which is worth retrying
+ * @param {string} message
+ * @returns {Error}
+ */
+function streamError(message) {
+    const error = new Error(message);
+    error.name = 'StreamError';
+    return error;
+}
 
 export class AudioService {
     constructor() {
         this.mediaSource = null;
         this.sourceBuffer = null;
-        this.audio = null;
+        this.audio = null; // Audio element, or a PcmPlayer for clips streamed through the worklet
         this.controller = null;
         this.eventListeners = new Map();
         this.minimumPlaybackSize = 50000; // 50KB minimum before playback
         this.textLength = 0;
         this.shouldAutoplay = false;
-        this.CHARS_PER_CHUNK = 150; // Estimated chars per chunk
+        this.hasStartedPlaying = false;
         this.serverDownloadPath = null; // Server-side download path
         this.pendingOperations = []; // Queue for buffer operations
+        this.audioContext = null; // Shared Web Audio context for analysis
+        this.analyser = null;
+        this.sourceNode = null; // MediaElementAudioSourceNode for the current Audio element
+        this.frequencyData = null;
+        this.timeDomainData = null;
+        this.captionsEnabled = false; // Use /dev/captioned_speech for word timestamps
+        this.captionsStream = true; // Stream captioned responses instead of waiting for the full clip
+        this.wordTimestamps = [];
+        this.timestampOffset = 0; // Seconds added to incoming timestamps (long-form segments)
+        this.downloadFormat = null; // Format of the file behind the download URL
+        this.audioChunks = []; // Every encoded chunk received for the current clip
+        this.clipBlob = null; // Complete file when the clip was loaded in one piece
+        this.clipUrl = null; // Object URL the audio element plays when it isn't fed by a MediaSource
+        this.bufferTrimmed = false; // Played audio was removed from the source buffer to make room
+        this.langCode = null; // Language sent to the phonemizer, null lets the server use the voice prefix
+        this.normalizationOptions = null; // Sent with every request, null keeps the server defaults
+        this.playbackEngine = 'auto'; // auto, mse or pcm
+        this.pcmPlayback = false; // The current request streams WAV into a PcmPlayer
+    }
+
+    /**
+     * Choose how streamed speech is played
+     * @param {string} engine - 'mse' streams mp3 through MediaSource, 'pcm' streams WAV through an
+     *        AudioWorklet and starts sooner, 'auto' only uses the worklet where MediaSource is missing
+     */
+    setPlaybackEngine(engine) {
+        this.playbackEngine = engine || 'auto';
+    }
+
+    /**
+     * Format the current request is streamed in, which follows the playback engine
+     * @returns {string} mp3 or wav
+     */
+    getStreamFormat() {
+        return this.pcmPlayback ? 'wav' : 'mp3';
+    }
+
+    /**
+     * Set the text normalization options sent with each request
+     * @param {Object|null} options - NormalizationOptions fields
+     */
+    setNormalizationOptions(options) {
+        this.normalizationOptions = options || null;
+    }
+
+    /**
+     * Set the language the API should phonemize text as
+     * @param {string|null} langCode - Kokoro language code, or null to infer from the voice
+     */
+    setLanguage(langCode) {
+        this.langCode = langCode || null;
+    }
+
+    /**
+     * Enable or disable captions mode
+     * @param {boolean} enabled - Request word timestamps from the captioned endpoint
+     * @param {Object} [options]
+     * @param {boolean} [options.stream=true] - Stream the captioned response
+     */
+    setCaptionsMode(enabled, { stream = true } = {}) {
+        this.captionsEnabled = !!enabled;
+        this.captionsStream = stream;
+    }
+
+    /**
+     * Settings besides text, voice and speed that change what the server generates
+     * @returns {{langCode: string|null, normalizationOptions: Object|null, captions: boolean}}
+     */
+    getRequestSettings() {
+        return {
+            langCode: this.langCode,
+            normalizationOptions: this.normalizationOptions,
+            captions: this.captionsEnabled
+        };
+    }
+
+    /**
+     * Abort any request in flight and reset state for a new generation
+     * @param {number} textLength - Characters being generated
+     */
+    beginRequest(textLength) {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+
+        this.controller = new AbortController();
+        this.cleanup();
+        this.textLength = textLength;
+        this.shouldAutoplay = document.getElementById('autoplay-toggle').checked;
+
+        // AudioWorklet needs a secure context, without it MediaSource is the only way to stream
+        const canUsePcm = !!window.AudioWorkletNode;
+        this.pcmPlayback = canUsePcm &&
+            (this.playbackEngine === 'pcm' || (this.playbackEngine === 'auto' && !window.MediaSource));
     }
 
+    /**
+     * Stream a single request into the player
+     * @param {string} text
+     * @param {string} voice - Voice string
+     * @param {number} speed - Generation speed
+     * @param {Function} [onProgress] - Called with the seconds of audio decoded so far
+     * @returns {Promise<HTMLAudioElement>}
+     */
     async streamAudio(text, voice, speed, onProgress) {
         try {
             console.log('AudioService: Starting stream...', { text, voice, speed });
             
-            if (this.controller) {
-                this.controller.abort();
-                this.controller = null;
-            }
-            
-            this.controller = new AbortController();
-            this.cleanup();
-            onProgress?.(0, 1); // Reset progress to 0
-            this.textLength = text.length;
-            this.shouldAutoplay = document.getElementById('autoplay-toggle').checked;
-            
-            // Calculate expected number of chunks based on text length
-            const estimatedChunks = Math.max(1, Math.ceil(this.textLength / this.CHARS_PER_CHUNK));
+            this.beginRequest(text.length);
+            onProgress?.(0);
             
             console.log('AudioService: Making API call...', { text, voice, speed });
             
-            const apiUrl = await config.getApiUrl('/v1/audio/speech');
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    input: text,
-                    voice: voice,
-                    response_format: 'mp3', // Always use mp3 for streaming playback
-                    download_format: document.getElementById('format-select').value || 'mp3', // Format for final download
-                    stream: true,
-                    speed: speed,
-                    return_download_link: true,
-                    lang_code: undefined
-                }),
-                signal: this.controller.signal
-            });
+            const downloadFormat = document.getElementById('format-select').value || 'mp3';
+            // The captioned endpoint only writes its download file in the streamed format
+            this.downloadFormat = this.captionsEnabled ? this.getStreamFormat() : downloadFormat;
+
+            await this.openMediaSource(() => this.processStream(text, voice, speed, downloadFormat, onProgress));
+            return this.audio;
+        } catch (error) {
+            this.cleanup();
+            throw error;
+        }
+    }
+
+    /**
+     * Generate several requests in order and play them as one continuous clip
+     * @param {string[]} segments - Texts that each fit in a single request
+     * @param {string} voice - Voice string
+     * @param {number} speed - Generation speed
+     * @param {Function} [onProgress] - Called with the seconds of audio decoded so far
+     * @returns {Promise<HTMLAudioElement>}
+     */
+    async streamLongForm(segments, voice, speed, onProgress) {
+        try {
+            console.log('AudioService: Starting long-form stream...', { segments: segments.length, voice, speed });
+
+            this.beginRequest(segments.reduce((sum, segment) => sum + segment.length, 0));
+            onProgress?.(0);
+
+            const downloadFormat = document.getElementById('format-select').value || 'mp3';
+            this.downloadFormat = this.captionsEnabled ? this.getStreamFormat() : downloadFormat;
+
+            await this.openMediaSource(async () => {
+                const segmentDownloads = [];
+
+                for (let i = 0; i < segments.length; i++) {
+                    this.dispatchEvent('segment', { index: i, total: segments.length });
+
+                    const { response, resumed } = await this.streamSpeech(segments[i], voice, speed, downloadFormat, {
+                        captionsStream: true,
+                        onChunk: () => onProgress?.(this.getBufferedEnd())
+                    });
 
-            console.log('AudioService: Got response', {
-                status: response.status,
-                headers: Object.fromEntries(response.headers.entries())
+                    // A resumed part's server file only holds the text after the break
+                    const downloadPath = response.headers.get('x-download-path');
+                    if (downloadPath && !resumed) {
+                        segmentDownloads.push(await config.getApiUrl(`/v1${downloadPath}`));
+                    }
+                }
+
+                await this.buildLongFormDownload(segmentDownloads, segments.length);
+                this.finishStream();
             });
+            return this.audio;
+        } catch (error) {
+            this.cleanup();
+            throw error;
+        }
+    }
 
-            // Check for download path as soon as we get the response
-            const downloadPath = response.headers.get('x-download-path');
-            if (downloadPath) {
-                this.serverDownloadPath = `/v1${downloadPath}`;
-                console.log('Download path received:', this.serverDownloadPath);
+    /**
+     * Combine the segments of a long-form clip into a single downloadable file
+     * WAV downloads are stitched from the per-segment server files, otherwise the streamed audio is used
+     * @param {string[]} segmentDownloads - Server download URLs, one per segment
+     * @param {number} segmentCount - Number of segments generated
+     */
+    async buildLongFormDownload(segmentDownloads, segmentCount) {
+        let blob = null;
+
+        if (this.downloadFormat === 'wav' && segmentDownloads.length === segmentCount) {
+            try {
+                const buffers = await Promise.all(segmentDownloads.map(async (url) => {
+                    const response = await fetch(url, { signal: this.controller?.signal });
+                    if (!response.ok) {
+                        throw new Error(`Failed to fetch ${url}`);
+                    }
+                    return response.arrayBuffer();
+                }));
+                blob = concatWav(buffers);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Could not build WAV download, falling back to the streamed audio:', error);
             }
+        }
+
+        if (!blob) {
+            blob = this.getAudioBlob();
+            this.downloadFormat = this.getStreamFormat();
+        }
+
+        this.revokeLocalDownload();
+        this.serverDownloadPath = blob ? URL.createObjectURL(blob) : null;
+    }
+
+    /**
+     * Generate a sequence of speech and silence segments and load them as one WAV clip
+     * Used where turns need their own voice, speed or pauses, which a single stream can't express
+     * @param {Array<{text?: string, voice?: string, speed?: number, silence?: number}>} segments -
+     *        Speech segments carry text/voice/speed, silence segments carry a duration in seconds
+     * @param {Function} [onProgress] - Called with the seconds of audio rendered so far
+     * @returns {Promise<HTMLAudioElement>}
+     */
+    async renderSegments(segments, onProgress) {
+        try {
+            const speech = segments.filter(segment => segment.text);
+            console.log('AudioService: Rendering segments...', { segments: segments.length, speech: speech.length });
+
+            this.beginRequest(speech.reduce((sum, segment) => sum + segment.text.length, 0));
+            onProgress?.(0);
+
+            const parts = [];
+            let format = null;
+            let speechIndex = 0;
+            let offset = 0; // Seconds rendered so far, for caption timestamps
 
-            if (!response.ok) {
-                const error = await response.json();
-                console.error('AudioService: API error', error);
-                throw new Error(error.detail?.message || 'Failed to generate speech');
+            // Silence needs the sample format, which is only known after the first speech segment
+            const pendingSilence = [];
+            const addSilence = (seconds) => {
+                const bytesPerSecond = format.sampleRate * format.channels * format.bitsPerSample / 8;
+                const blockAlign = format.channels * format.bitsPerSample / 8;
+                const length = Math.round(seconds * bytesPerSecond / blockAlign) * blockAlign;
+                parts.push(new Uint8Array(length));
+                offset += length / bytesPerSecond;
+            };
+
+            for (let i = 0; i < segments.length; i++) {
+                const segment = segments[i];
+
+                if (segment.silence) {
+                    if (format) {
+                        addSilence(segment.silence);
+                    } else {
+                        pendingSilence.push(segment.silence);
+                    }
+                } else if (segment.text) {
+                    this.dispatchEvent('segment', { index: speechIndex++, total: speech.length });
+                    const { wav, timestamps } = await this.fetchSpeechFile(segment.text, segment.voice, segment.speed);
+
+                    if (!format) {
+                        format = wav;
+                        pendingSilence.forEach(addSilence);
+                    }
+                    if (wav.sampleRate !== format.sampleRate || wav.channels !== format.channels ||
+                        wav.bitsPerSample !== format.bitsPerSample) {
+                        throw new Error('Segments returned audio in different formats');
+                    }
+
+                    this.timestampOffset = offset;
+                    this.addWordTimestamps(timestamps);
+                    parts.push(wav.data);
+                    offset += wav.data.byteLength / (wav.sampleRate * wav.channels * wav.bitsPerSample / 8);
+                }
+                onProgress?.(offset);
             }
 
-            await this.setupAudioStream(response.body, response, onProgress, estimatedChunks);
+            if (!format) {
+                throw new Error('Nothing to generate');
+            }
+
+            await this.loadClip(buildWav(parts, format), 'wav');
             return this.audio;
         } catch (error) {
             this.cleanup();
@@ -78,10 +313,362 @@ export class AudioService {
         }
     }
 
-    async setupAudioStream(stream, response, onProgress, estimatedChunks) {
+    /**
+     * Fetch one complete WAV file (with word timestamps in captions mode)
+     * @returns {Promise<{wav: Object, timestamps: Array|null}>} Parsed WAV and timestamps
+     */
+    async fetchSpeechFile(text, voice, speed) {
+        const endpoint = this.captionsEnabled ? '/dev/captioned_speech' : '/v1/audio/speech';
+        const apiUrl = await config.getApiUrl(endpoint);
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                input: text,
+                voice: voice,
+                response_format: 'wav',
+                stream: false,
+                speed: speed,
+                return_timestamps: this.captionsEnabled,
+                lang_code: this.langCode || undefined,
+                normalization_options: this.normalizationOptions || undefined
+            }),
+            signal: this.controller.signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            console.error('AudioService: API error', error);
+            throw new Error(error.detail?.message || 'Failed to generate speech');
+        }
+
+        if (this.captionsEnabled) {
+            const payload = await response.json();
+            return { wav: parseWav(this.decodeBase64(payload.audio).buffer), timestamps: payload.timestamps };
+        }
+        return { wav: parseWav(await response.arrayBuffer()), timestamps: null };
+    }
+
+    /**
+     * Play a previously generated clip without contacting the server
+     * @param {Object} clip - Entry from CacheService
+     * @param {number} textLength - Characters the clip was generated from
+     * @returns {Promise<HTMLAudioElement>}
+     */
+    async playCachedClip(clip, textLength) {
+        try {
+            this.beginRequest(textLength);
+            this.addWordTimestamps(clip.timestamps);
+            await this.loadClip(clip.audio, clip.format);
+            return this.audio;
+        } catch (error) {
+            this.cleanup();
+            throw error;
+        }
+    }
+
+    /**
+     * Play a complete audio file through the regular player
+     * @param {Blob} blob - Encoded audio
+     * @param {string} format - File extension of the audio, used for downloads
+     */
+    async loadClip(blob, format) {
+        this.clipBlob = blob;
+        this.downloadFormat = format;
+        this.revokeLocalDownload();
+        this.serverDownloadPath = URL.createObjectURL(blob);
+
+        this.audio = new Audio();
+        this.audio.src = this.serverDownloadPath;
+        this.connectAnalyser();
+        this.hasStartedPlaying = false;
+
+        this.audio.addEventListener('error', () => {
+            console.error('Audio error:', this.audio?.error);
+        });
+
+        this.audio.addEventListener('ended', () => {
+            this.dispatchEvent('ended');
+        });
+
+        await new Promise((resolve, reject) => {
+            this.audio.addEventListener('canplay', resolve, { once: true });
+            this.audio.addEventListener('error', () => reject(new Error('Could not decode generated audio')), { once: true });
+        });
+
+        this.dispatchEvent('complete');
+        if (this.shouldAutoplay) {
+            this.hasStartedPlaying = true;
+            this.play();
+        }
+        setTimeout(() => {
+            this.dispatchEvent('downloadReady');
+        }, 800);
+    }
+
+    getBufferedEnd() {
+        if (this.audio instanceof PcmPlayer) {
+            return this.audio.duration;
+        }
+        if (!this.sourceBuffer || this.sourceBuffer.buffered.length === 0) {
+            return 0;
+        }
+        return this.sourceBuffer.buffered.end(this.sourceBuffer.buffered.length - 1);
+    }
+
+    async fetchSpeech(text, voice, speed, downloadFormat) {
+        const apiUrl = await config.getApiUrl('/v1/audio/speech');
+        return fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                input: text,
+                voice: voice,
+                response_format: this.getStreamFormat(), // Streamed for playback
+                download_format: downloadFormat, // Format for final download
+                stream: true,
+                speed: speed,
+                return_download_link: true,
+                lang_code: this.langCode || undefined,
+                normalization_options: this.normalizationOptions || undefined
+            }),
+            signal: this.controller.signal
+        });
+    }
+
+    /**
+     * Generate a complete clip without touching the main player, for side panels
+     * that need audio of their own. Uses the current language and normalization settings.
+     * @param {string} text
+     * @param {string} voice - Voice string
+     * @param {number} [speed=1]
+     * @param {Object} [options]
+     * @param {string} [options.format='mp3'] - mp3 or wav
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Blob>}
+     */
+    async synthesize(text, voice, speed = 1, { format = 'mp3', signal } = {}) {
+        const apiUrl = await config.getApiUrl('/v1/audio/speech');
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                input: text,
+                voice: voice,
+                response_format: format,
+                stream: false,
+                speed: speed,
+                lang_code: this.langCode || undefined,
+                normalization_options: this.normalizationOptions || undefined
+            }),
+            signal
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.detail?.message || 'Failed to generate speech');
+        }
+        return response.blob();
+    }
+
+    /**
+     * Render segments (as built for renderSegments) into one file without touching the main player
+     * MP3 parts are joined frame to frame, which can't express silence, so pauses are only kept in WAV
+     * @param {Array<{text?: string, voice?: string, speed?: number, silence?: number}>} segments
+     * @param {Object} [options]
+     * @param {string} [options.format='mp3'] - mp3 or wav
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onProgress] - Called with (completedSegments, totalSegments)
+     * @returns {Promise<Blob>}
+     */
+    async renderFile(segments, { format = 'mp3', signal, onProgress } = {}) {
+        const speech = segments.filter(segment => segment.text);
+        if (speech.length === 0) {
+            throw new Error('Nothing to generate');
+        }
+
+        if (format !== 'wav') {
+            const parts = [];
+            for (let i = 0; i < speech.length; i++) {
+                const { text, voice, speed } = speech[i];
+                parts.push(await this.synthesize(text, voice, speed, { format: 'mp3', signal }));
+                onProgress?.(i + 1, speech.length);
+            }
+            return new Blob(parts, { type: 'audio/mpeg' });
+        }
+
+        const parts = [];
+        let wavFormat = null;
+        let pendingSilence = 0; // Seconds of silence before the first speech, when the sample format is unknown
+        const silence = (seconds) => {
+            const blockAlign = wavFormat.channels * wavFormat.bitsPerSample / 8;
+            return new Uint8Array(Math.round(seconds * wavFormat.sampleRate) * blockAlign);
+        };
+
+        let done = 0;
+        for (const segment of segments) {
+            if (segment.silence) {
+                if (wavFormat) {
+                    parts.push(silence(segment.silence));
+                } else {
+                    pendingSilence += segment.silence;
+                }
+                continue;
+            }
+            if (!segment.text) continue;
+
+            const blob = await this.synthesize(segment.text, segment.voice, segment.speed, { format: 'wav', signal });
+            const wav = parseWav(await blob.arrayBuffer());
+            if (!wavFormat) {
+                wavFormat = wav;
+                if (pendingSilence > 0) parts.push(silence(pendingSilence));
+            }
+            if (wav.sampleRate !== wavFormat.sampleRate || wav.channels !== wavFormat.channels ||
+                wav.bitsPerSample !== wavFormat.bitsPerSample) {
+                throw new Error('Segments returned audio in different formats');
+            }
+            parts.push(wav.data);
+            onProgress?.(++done, speech.length);
+        }
+        return buildWav(parts, wavFormat);
+    }
+
+    async fetchCaptionedSpeech(text, voice, speed, stream = this.captionsStream) {
+        const apiUrl = await config.getApiUrl('/dev/captioned_speech');
+        return fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                input: text,
+                voice: voice,
+                response_format: this.getStreamFormat(),
+                stream: stream,
+                speed: speed,
+                return_timestamps: true,
+                return_download_link: stream,
+                lang_code: this.langCode || undefined,
+                normalization_options: this.normalizationOptions || undefined
+            }),
+            signal: this.controller.signal
+        });
+    }
+
+    /**
+     * Turn a captioned speech response into a plain audio byte stream,
+     * collecting word timestamps along the way
+     * @param {Response} response - Response from /dev/captioned_speech
+     * @param {boolean} [streamed] - Whether the response was requested as a stream
+     * @returns {Promise<ReadableStream<Uint8Array>>} Stream of decoded audio chunks
+     */
+    async createCaptionedAudioStream(response, streamed = this.captionsStream) {
+        if (!streamed) {
+            // Non-streamed responses are a single JSON document with the whole clip
+            const payload = await response.json();
+            const audioBytes = this.decodeBase64(payload.audio);
+            this.addWordTimestamps(payload.timestamps);
+
+            // No server-side file is written in this mode, so download the bytes we already have
+            this.serverDownloadPath = URL.createObjectURL(new Blob([audioBytes], { type: this.getStreamMimeType() }));
+
+            return new ReadableStream({
+                start(controller) {
+                    controller.enqueue(audioBytes);
+                    controller.close();
+                }
+            });
+        }
+
+        // Streamed responses are newline-delimited JSON, one object per audio chunk
+        const decoder = new TextDecoder();
+        let buffered = '';
+
+        const handleLine = (line, controller) => {
+            if (!line.trim()) return;
+            const payload = JSON.parse(line);
+            this.addWordTimestamps(payload.timestamps);
+            if (payload.audio) {
+                controller.enqueue(this.decodeBase64(payload.audio));
+            }
+        };
+
+        return response.body.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                buffered += decoder.decode(chunk, { stream: true });
+                const lines = buffered.split('\n');
+                buffered = lines.pop();
+                lines.forEach(line => handleLine(line, controller));
+            },
+            flush(controller) {
+                buffered += decoder.decode();
+                handleLine(buffered, controller);
+            }
+        }));
+    }
+
+    decodeBase64(data) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    addWordTimestamps(timestamps) {
+        if (!timestamps?.length) return;
+        this.wordTimestamps.push(...timestamps.map(timestamp => ({
+            ...timestamp,
+            start_time: timestamp.start_time + this.timestampOffset,
+            end_time: timestamp.end_time + this.timestampOffset
+        })));
+        this.dispatchEvent('timestamps', this.wordTimestamps);
+    }
+
+    /**
+     * Get word timestamps received for the current clip
+     * @returns {Array<{word: string, start_time: number, end_time: number}>}
+     */
+    getWordTimestamps() {
+        return this.wordTimestamps;
+    }
+
+    /**
+     * Get the audio of the current clip as a single Blob
+     * Streamed clips are returned as the audio received so far, in the stream format
+     * @returns {Blob|null} Encoded audio, or null if nothing was received
+     */
+    getAudioBlob() {
+        if (this.clipBlob) return this.clipBlob;
+        if (this.audio instanceof PcmPlayer) return this.audio.toWav();
+        if (this.audioChunks.length === 0) return null;
+        return new Blob(this.audioChunks, { type: this.getStreamMimeType() });
+    }
+
+    getStreamMimeType() {
+        return this.pcmPlayback ? 'audio/wav' : 'audio/mpeg';
+    }
+
+    getDownloadFormat() {
+        return this.downloadFormat;
+    }
+
+    /**
+     * Create the Audio element and MediaSource, then run a feed once the source is open
+     * @param {Function} feed - Async function that appends audio to this.sourceBuffer
+     * @returns {Promise<void>} Resolves when the feed completes
+     */
+    async openMediaSource(feed) {
+        if (this.pcmPlayback) {
+            return this.openPcmPlayer(feed);
+        }
+        if (!window.MediaSource) {
+            throw new Error('This browser can\'t stream audio, try the low-latency playback engine on a secure (https) connection');
+        }
+
         this.audio = new Audio();
         this.mediaSource = new MediaSource();
         this.audio.src = URL.createObjectURL(this.mediaSource);
+        this.connectAnalyser();
+        this.hasStartedPlaying = false;
         
         // Monitor for audio element errors
         this.audio.addEventListener('error', (e) => {
@@ -102,7 +689,7 @@ export class AudioService {
                         this.processNextOperation();
                     });
                     
-                    await this.processStream(stream, response, onProgress, estimatedChunks);
+                    await feed();
                     resolve();
                 } catch (error) {
                     reject(error);
@@ -111,108 +698,473 @@ export class AudioService {
         });
     }
 
-    async processStream(stream, response, onProgress, estimatedChunks) {
-        const reader = stream.getReader();
-        let hasStartedPlaying = false;
-        let receivedChunks = 0;
+    /**
+     * Create the worklet player, then run a feed into it
+     * @param {Function} feed - Async function that appends audio through appendStream
+     * @returns {Promise<void>} Resolves when the feed completes
+     */
+    async openPcmPlayer(feed) {
+        const context = this.getAudioContext();
+        if (!context) {
+            throw new Error('Web Audio is not supported in this browser');
+        }
+
+        const player = new PcmPlayer(context);
+        this.audio = player;
+        this.hasStartedPlaying = false;
+        await player.load();
+        if (this.audio !== player) {
+            // Cancelled or replaced while the worklet module loaded
+            player.close();
+            throw new DOMException('Request cancelled', 'AbortError');
+        }
+        this.connectAnalyser();
+
+        player.addEventListener('ended', () => {
+            this.dispatchEvent('ended');
+        });
 
+        await feed();
+    }
+
+    async processStream(text, voice, speed, downloadFormat, onProgress) {
         try {
-            while (true) {
-                const {value, done} = await reader.read();
-                
-                if (done) {
-                    // Get final download path from header after stream is complete
-                    const headers = Object.fromEntries(response.headers.entries());
-                    console.log('Response headers at stream end:', headers);
-                    
-                    const downloadPath = headers['x-download-path'];
-                    if (downloadPath) {
-                        // Use config to prepend root path and /v1
-                        this.serverDownloadPath = await config.getApiUrl(`/v1${downloadPath}`);
-                        console.log('Download path received:', this.serverDownloadPath);
-                    } else {
-                        console.warn('No X-Download-Path header found. Available headers:',
-                            Object.keys(headers).join(', '));
-                    }
+            const { response, resumed } = await this.streamSpeech(text, voice, speed, downloadFormat, {
+                onChunk: () => onProgress?.(this.getBufferedEnd())
+            });
 
-                    if (this.mediaSource.readyState === 'open') {
-                        this.mediaSource.endOfStream();
-                    }
-                    
-                    // Signal completion
-                    onProgress?.(estimatedChunks, estimatedChunks);
-                    this.dispatchEvent('complete');
-                    
-                    // Check if we should autoplay for small inputs that didn't trigger during streaming
-                    if (this.shouldAutoplay && !hasStartedPlaying && this.sourceBuffer.buffered.length > 0) {
-                        setTimeout(() => this.play(), 100);
-                    }
-                    
-                    setTimeout(() => {
-                        this.dispatchEvent('downloadReady');
-                    }, 800);
-                    return;
-                }
+            // Get final download path from header after stream is complete
+            const headers = Object.fromEntries(response.headers.entries());
+            console.log('Response headers at stream end:', headers);
+            
+            const downloadPath = headers['x-download-path'];
+            if (resumed) {
+                // The server file only covers the text after the break, so download what was received
+                this.revokeLocalDownload();
+                this.serverDownloadPath = URL.createObjectURL(this.getAudioBlob());
+                this.downloadFormat = this.getStreamFormat();
+            } else if (downloadPath) {
+                // Use config to prepend root path and /v1
+                this.serverDownloadPath = await config.getApiUrl(`/v1${downloadPath}`);
+                console.log('Download path received:', this.serverDownloadPath);
+            } else {
+                console.warn('No X-Download-Path header found. Available headers:',
+                    Object.keys(headers).join(', '));
+            }
+
+            this.finishStream();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Stream one request into the source buffer. When the connection breaks or stalls, the request is
+     * retried with backoff for the text from the sentence that was being received; audio before it stays.
+     * @param {string} text - Text that fits in one request
+     * @param {string} voice - Voice string
+     * @param {number} speed - Generation speed
+     * @param {string} downloadFormat - Format of the server-side download file
+     * @param {Object} [options]
+     * @param {Function} [options.onChunk] - Called after each chunk is received
+     * @param {boolean} [options.captionsStream] - Stream captioned responses, defaults to the captions mode setting
+     * @returns {Promise<{response: Response, resumed: boolean}>} Final response, and whether the text had to be resumed
+     */
+    async streamSpeech(text, voice, speed, downloadFormat, { onChunk, captionsStream = this.captionsStream } = {}) {
+        let remaining = text;
+        let attempt = 0;
+        let resumed = false;
 
-                receivedChunks++;
-                onProgress?.(receivedChunks, estimatedChunks);
+        while (true) {
+            // Parts are appended back to back, so this one starts where the buffer ends
+            const start = this.getBufferedEnd();
+            const firstChunk = this.audioChunks.length;
+            const firstTimestamp = this.wordTimestamps.length;
+            this.timestampOffset = start;
+            let received = false;
 
+            try {
+                let response;
                 try {
-                    // Check for audio errors before proceeding
-                    if (this.audio.error) {
-                        console.error('Audio error detected:', this.audio.error);
-                        continue; // Skip this chunk if audio is in error state
+                    response = this.captionsEnabled
+                        ? await this.fetchCaptionedSpeech(remaining, voice, speed, captionsStream)
+                        : await this.fetchSpeech(remaining, voice, speed, downloadFormat);
+                } catch (error) {
+                    throw error.name === 'AbortError' ? error : streamError('Could not reach the server');
+                }
+
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({}));
+                    console.error('AudioService: API error', error);
+                    const message = error.detail?.message || 'Failed to generate speech';
+                    // Gateways in front of the server answer these while it is unreachable
+                    throw [502, 503, 504].includes(response.status) ? streamError(message) : new Error(message);
+                }
+
+                let stream = response.body;
+                if (this.captionsEnabled) {
+                    // Unstreamed captioned responses arrive whole, a broken one fails here rather than mid-stream
+                    stream = await this.createCaptionedAudioStream(response, captionsStream).catch(error => {
+                        throw error.name === 'AbortError' ? error : streamError('The connection dropped');
+                    });
+                }
+
+                await this.appendStream(stream, (chunk) => {
+                    if (!received && attempt > 0) {
+                        this.dispatchEvent('resume', { attempt });
                     }
+                    received = true;
+                    onChunk?.(chunk);
+                });
+                return { response, resumed };
+            } catch (error) {
+                if (error.name !== 'StreamError') throw error;
+
+                let progressed = false;
+                if (this.getBufferedEnd() > start) {
+                    const timestamps = this.wordTimestamps.slice(firstTimestamp).map(timestamp => ({
+                        ...timestamp,
+                        start_time: timestamp.start_time - start,
+                        end_time: timestamp.end_time - start
+                    }));
+                    const resume = this.findResumePoint(remaining, this.getBufferedEnd() - start, timestamps, speed);
+                    await this.trimReceivedAudio(start, resume.time, firstChunk);
+                    remaining = remaining.slice(resume.offset);
+                    progressed = resume.offset > 0;
+                    resumed = true;
+                }
+                if (!remaining.trim()) {
+                    // Everything was received, only the end of the response was lost
+                    return { response: new Response(null), resumed };
+                }
+
+                // Attempts only run out when failures stop moving the text forward
+                attempt = progressed ? 1 : attempt + 1;
+                if (attempt > MAX_STREAM_RETRIES) {
+                    throw new Error(`${error.message} — gave up after ${MAX_STREAM_RETRIES} retries`);
+                }
+
+                const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+                console.warn(`AudioService: ${error.message}, retrying in ${delay}ms`, { attempt });
+                this.dispatchEvent('retry', { attempt, maxAttempts: MAX_STREAM_RETRIES, delay, reason: error.message });
+                await this.wait(delay);
+            }
+        }
+    }
+
+    /**
+     * Find where to pick a broken request back up: the start of the sentence that was being received
+     * @param {string} text - Text of the broken request
+     * @param {number} received - Seconds of its audio that arrived
+     * @param {Array<{word: string, start_time: number, end_time: number}>} timestamps - Its word timestamps,
+     *        relative to the start of its audio
+     * @param {number} speed - Generation speed
+     * @returns {{offset: number, time: number}} Character offset to request from, and where that point falls
+     *          in the received audio, from timestamps when there are any and estimated otherwise
+     */
+    findResumePoint(text, received, timestamps, speed) {
+        const starts = getSentenceStarts(text);
+        if (starts.length === 0) {
+            return { offset: text.length, time: received };
+        }
 
-                    // Only remove old data if we're hitting quota errors
+        if (timestamps.length > 0) {
+            // Place each fully received word in the text; words the server rewrote (numbers, units) are skipped
+            const lower = text.toLowerCase();
+            let cursor = 0;
+            let sentence = 0;
+            let sentenceTime = 0;
+            let lastWordEnd = 0;
+            for (const { word, start_time, end_time } of timestamps) {
+                if (end_time > received) break;
+                const at = lower.indexOf(word.trim().toLowerCase(), cursor);
+                if (!word.trim() || at < 0) continue;
+                cursor = at + word.trim().length;
+                lastWordEnd = end_time;
+                while (sentence + 1 < starts.length && starts[sentence + 1] <= at) {
+                    sentence++;
+                    sentenceTime = start_time;
+                }
+            }
+
+            // A sentence whose last word arrived is complete, the next one starts after the audio received
+            const end = sentence + 1 < starts.length ? starts[sentence + 1] : text.length;
+            if (cursor > starts[sentence] && !/[\p{L}\p{N}]/u.test(text.slice(cursor, end))) {
+                return { offset: end, time: lastWordEnd };
+            }
+            return { offset: starts[sentence], time: sentenceTime };
+        }
+
+        // Without timestamps, estimate from a typical reading rate and err towards repeating:
+        // the slow rate picks an early sentence, and places its start late in the audio
+        const charsPerSecond = SPOKEN_CHARS_PER_SECOND * speed * 0.8;
+        const spoken = received * charsPerSecond;
+        let sentence = 0;
+        while (sentence + 1 < starts.length && starts[sentence + 1] <= spoken) {
+            sentence++;
+        }
+        return { offset: starts[sentence], time: Math.min(received, starts[sentence] / charsPerSecond) };
+    }
+
+    /**
+     * Drop received audio from a point on, so a resumed sentence isn't heard twice.
+     * Audio that has already played is kept, the part of the sentence heard so far then repeats instead.
+     * @param {number} start - Seconds into the clip where the broken response began
+     * @param {number} offset - Seconds into the broken response to trim from
+     * @param {number} firstChunk - Index in audioChunks where the broken response began
+     */
+    async trimReceivedAudio(start, offset, firstChunk) {
+        const time = Math.max(start + offset, this.audio?.currentTime || 0);
+        const end = this.getBufferedEnd();
+        if (time >= end) return;
+
+        if (this.audio instanceof PcmPlayer) {
+            this.audio.truncate(time);
+            this.wordTimestamps = this.wordTimestamps.filter(timestamp => timestamp.start_time < time);
+            return;
+        }
+
+        await this.removeBufferRange(time, end);
+        if (this.sourceBuffer.updating) {
+            await new Promise(resolve => this.sourceBuffer.addEventListener('updateend', resolve, { once: true }));
+        }
+        this.sourceBuffer.timestampOffset = time;
+
+        // Keep the local copy in step with the buffer, it becomes the download
+        const bytes = await new Blob(this.audioChunks.slice(firstChunk)).arrayBuffer();
+        this.audioChunks.splice(firstChunk, Infinity, ...readMp3(bytes, { maxDuration: time - start }).data);
+        this.wordTimestamps = this.wordTimestamps.filter(timestamp => timestamp.start_time < time);
+    }
+
+    /**
+     * Resolve after a delay, or reject when the current request is cancelled
+     * @param {number} ms
+     */
+    wait(ms) {
+        return new Promise((resolve, reject) => {
+            const signal = this.controller?.signal;
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Read the next chunk of a stream, failing with a StreamError when the connection breaks
+     * or nothing arrives for STALL_TIMEOUT
+     * @param {ReadableStreamDefaultReader} reader
+     */
+    async readChunk(reader) {
+        let timer;
+        const stalled = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reader.cancel().catch(() => {});
+                reject(streamError('The stream stalled'));
+            }, STALL_TIMEOUT);
+        });
+
+        try {
+            return await Promise.race([reader.read(), stalled]);
+        } catch (error) {
+            if (error.name === 'AbortError' || error.name === 'StreamError') throw error;
+            throw streamError('The connection dropped');
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Append every chunk of an audio byte stream to the source buffer
+     * @param {ReadableStream<Uint8Array>} stream - Encoded mp3 stream
+     * @param {Function} [onChunk] - Called after each chunk is received and appended
+     * @returns {Promise<void>} Resolves when the stream is exhausted
+     */
+    async appendStream(stream, onChunk) {
+        const reader = stream.getReader();
+        if (this.audio instanceof PcmPlayer) {
+            return this.appendPcmStream(reader, onChunk);
+        }
+
+        while (true) {
+            const {value, done} = await this.readChunk(reader);
+            if (done) {
+                return;
+            }
+
+            this.audioChunks.push(value);
+
+            try {
+                // Check for audio errors before proceeding
+                if (this.audio.error) {
+                    console.error('Audio error detected:', this.audio.error);
+                    continue; // Skip this chunk if audio is in error state
+                }
+
+                // Played audio stays buffered so it can be scrubbed, it is only trimmed below when the quota runs out
+                await this.appendChunk(value);
+
+                if (!this.hasStartedPlaying && this.sourceBuffer.buffered.length > 0) {
+                    this.hasStartedPlaying = true;
+                    if (this.shouldAutoplay) {
+                        setTimeout(() => this.play(), 100);
+                    }
+                }
+            } catch (error) {
+                if (error.name === 'QuotaExceededError') {
+                    // If we hit quota, try more aggressive cleanup
                     if (this.sourceBuffer.buffered.length > 0) {
                         const currentTime = this.audio.currentTime;
                         const start = this.sourceBuffer.buffered.start(0);
-                        const end = this.sourceBuffer.buffered.end(0);
-                        
-                        // Only remove if we have a lot of historical data
-                        if (currentTime - start > 30) {
-                            const removeEnd = Math.max(start, currentTime - 15);
-                            if (removeEnd > start) {
-                                await this.removeBufferRange(start, removeEnd);
+                        const removeEnd = Math.max(start, currentTime - 5);
+                        if (removeEnd > start) {
+                            this.bufferTrimmed = true;
+                            await this.removeBufferRange(start, removeEnd);
+                            // Retry append after removing data
+                            try {
+                                await this.appendChunk(value);
+                            } catch (retryError) {
+                                console.warn('Buffer error after cleanup:', retryError);
                             }
                         }
                     }
+                } else {
+                    console.warn('Buffer error:', error);
+                }
+            }
+            onChunk?.(value);
+        }
+    }
 
-                    await this.appendChunk(value);
+    /**
+     * Feed a WAV byte stream into the worklet player, which starts as soon as a few hundred ms arrived
+     * @param {ReadableStreamDefaultReader} reader
+     * @param {Function} [onChunk] - Called after each chunk is received and queued
+     */
+    async appendPcmStream(reader, onChunk) {
+        const player = this.audio;
+        // Each response, resumed ones included, starts with its own header
+        player.beginStream();
 
-                    if (!hasStartedPlaying && this.sourceBuffer.buffered.length > 0) {
-                        hasStartedPlaying = true;
-                        if (this.shouldAutoplay) {
-                            setTimeout(() => this.play(), 100);
-                        }
-                    }
-                } catch (error) {
-                    if (error.name === 'QuotaExceededError') {
-                        // If we hit quota, try more aggressive cleanup
-                        if (this.sourceBuffer.buffered.length > 0) {
-                            const currentTime = this.audio.currentTime;
-                            const start = this.sourceBuffer.buffered.start(0);
-                            const removeEnd = Math.max(start, currentTime - 5);
-                            if (removeEnd > start) {
-                                await this.removeBufferRange(start, removeEnd);
-                                // Retry append after removing data
-                                try {
-                                    await this.appendChunk(value);
-                                } catch (retryError) {
-                                    console.warn('Buffer error after cleanup:', retryError);
-                                }
-                            }
-                        }
-                    } else {
-                        console.warn('Buffer error:', error);
-                    }
+        while (true) {
+            const {value, done} = await this.readChunk(reader);
+            if (done) {
+                return;
+            }
+
+            player.appendBytes(value);
+            if (!this.hasStartedPlaying && player.readyState >= 2) {
+                this.hasStartedPlaying = true;
+                if (this.shouldAutoplay) {
+                    this.play();
                 }
             }
-        } catch (error) {
-            if (error.name !== 'AbortError') {
-                throw error;
+            onChunk?.(value);
+        }
+    }
+
+    /**
+     * Close the media source and signal that the clip is complete
+     */
+    finishStream() {
+        if (this.audio instanceof PcmPlayer) {
+            // Every sample is kept by the player, so the whole clip is already seekable
+            this.audio.finish();
+            this.dispatchEvent('complete');
+            if (this.shouldAutoplay && !this.hasStartedPlaying && this.audio.readyState >= 2) {
+                this.hasStartedPlaying = true;
+                this.play();
             }
+            setTimeout(() => {
+                this.dispatchEvent('downloadReady');
+            }, 800);
+            return;
+        }
+
+        if (this.mediaSource.readyState === 'open') {
+            this.mediaSource.endOfStream();
+        }
+
+        // The browser can also evict played ranges by itself, so check what is actually buffered
+        if (this.bufferTrimmed || !this.isFullyBuffered()) {
+            this.switchToBlob().catch(error => console.warn('Could not restore the full clip for seeking:', error));
+        }
+
+        this.dispatchEvent('complete');
+        
+        // Check if we should autoplay for small inputs that didn't trigger during streaming
+        if (this.shouldAutoplay && !this.hasStartedPlaying && this.sourceBuffer.buffered.length > 0) {
+            setTimeout(() => this.play(), 100);
+        }
+        
+        setTimeout(() => {
+            this.dispatchEvent('downloadReady');
+        }, 800);
+    }
+
+    isFullyBuffered() {
+        const buffered = this.sourceBuffer?.buffered;
+        return !!buffered && buffered.length === 1 && buffered.start(0) < 0.1;
+    }
+
+    /**
+     * Move playback of a finished stream from the MediaSource to a Blob of every chunk received,
+     * so audio evicted from the source buffer can be sought to again. Position and play state carry over.
+     */
+    async switchToBlob() {
+        const previous = this.audio;
+        const blob = this.getAudioBlob();
+        if (!previous || !blob) return;
+
+        const audio = new Audio();
+        const url = URL.createObjectURL(blob);
+        audio.src = url;
+        await new Promise((resolve, reject) => {
+            audio.addEventListener('canplay', resolve, { once: true });
+            audio.addEventListener('error', () => reject(new Error('Could not decode the received audio')), { once: true });
+        });
+        if (this.audio !== previous) {
+            // A new generation started while the clip was loading
+            URL.revokeObjectURL(url);
+            return;
+        }
+
+        const wasPlaying = !previous.paused;
+        audio.currentTime = previous.currentTime;
+        audio.volume = previous.volume;
+        audio.addEventListener('error', () => {
+            console.error('Audio error:', this.audio?.error);
+        });
+        audio.addEventListener('ended', () => {
+            this.dispatchEvent('ended');
+        });
+        ['play', 'pause', 'ended', 'timeupdate'].forEach(event => {
+            this.eventListeners.get(event)?.forEach(callback => {
+                previous.removeEventListener(event, callback);
+                audio.addEventListener(event, callback);
+            });
+        });
+
+        this.disconnectAnalyser();
+        previous.pause();
+        previous.src = '';
+        this.revokeClipUrl();
+        this.clipBlob = blob;
+        this.clipUrl = url;
+        this.audio = audio;
+        this.connectAnalyser();
+        if (wasPlaying) {
+            this.play();
+        }
+    }
+
+    revokeClipUrl() {
+        if (this.clipUrl) {
+            URL.revokeObjectURL(this.clipUrl);
+            this.clipUrl = null;
         }
     }
 
@@ -312,7 +1264,90 @@ export class AudioService {
         }
     }
 
+    /**
+     * Shared Web Audio context, created with the analyser on first use
+     * @returns {AudioContext|null} Null where Web Audio is unavailable
+     */
+    getAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContextClass();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.8;
+            this.analyser.connect(this.audioContext.destination);
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.timeDomainData = new Float32Array(this.analyser.fftSize);
+        }
+        return this.audioContext;
+    }
+
+    connectAnalyser() {
+        if (!this.audio) return;
+
+        try {
+            const context = this.getAudioContext();
+            if (!context) return;
+
+            // Once routed through the graph, the element only outputs via the analyser
+            this.sourceNode = this.audio instanceof PcmPlayer
+                ? this.audio.output
+                : context.createMediaElementSource(this.audio);
+            this.sourceNode.connect(this.analyser);
+        } catch (error) {
+            console.warn('Audio analysis unavailable:', error);
+            this.sourceNode = null;
+        }
+    }
+
+    disconnectAnalyser() {
+        if (this.sourceNode) {
+            try {
+                this.sourceNode.disconnect();
+            } catch (e) {
+                // Ignore errors during cleanup
+            }
+            this.sourceNode = null;
+        }
+    }
+
+    /**
+     * Get live analysis of the audio currently playing
+     * The returned frequencyData array is reused between calls, copy it to keep a snapshot
+     * @returns {{rms: number, centroid: number, frequencyData: Uint8Array}|null}
+     *          RMS level (0-1), spectral centroid in Hz and byte frequency bins,
+     *          or null when no analyser is connected
+     */
+    getAnalysisData() {
+        if (!this.analyser || !this.sourceNode) return null;
+
+        this.analyser.getFloatTimeDomainData(this.timeDomainData);
+        this.analyser.getByteFrequencyData(this.frequencyData);
+
+        let sumSquares = 0;
+        for (let i = 0; i < this.timeDomainData.length; i++) {
+            sumSquares += this.timeDomainData[i] * this.timeDomainData[i];
+        }
+        const rms = Math.sqrt(sumSquares / this.timeDomainData.length);
+
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        let weightedSum = 0;
+        let magnitudeSum = 0;
+        for (let i = 0; i < this.frequencyData.length; i++) {
+            weightedSum += this.frequencyData[i] * i * binWidth;
+            magnitudeSum += this.frequencyData[i];
+        }
+        const centroid = magnitudeSum > 0 ? weightedSum / magnitudeSum : 0;
+
+        return { rms, centroid, frequencyData: this.frequencyData };
+    }
+
     play() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
         if (this.audio && this.audio.readyState >= 2 && !this.audio.error) {
             const playPromise = this.audio.play();
             if (playPromise) {
@@ -336,6 +1371,11 @@ export class AudioService {
     seek(time) {
         if (this.audio && !this.audio.error) {
             const wasPlaying = !this.audio.paused;
+            // While streaming, trimmed audio can't be reached until the clip moves to a Blob at the end
+            const buffered = this.mediaSource?.readyState === 'open' ? this.sourceBuffer?.buffered : null;
+            if (buffered?.length > 0) {
+                time = Math.max(time, buffered.start(0));
+            }
             this.audio.currentTime = time;
             if (wasPlaying) {
                 this.play();
@@ -395,10 +1435,9 @@ export class AudioService {
             this.controller = null;
         }
 
+        this.disconnectAnalyser();
         if (this.audio) {
-            this.audio.pause();
-            this.audio.src = "";
-            this.audio = null;
+            this.releaseAudio();
         }
 
         if (this.mediaSource && this.mediaSource.readyState === "open") {
@@ -415,11 +1454,13 @@ export class AudioService {
             this.sourceBuffer.removeEventListener("updateerror", () => {});
             this.sourceBuffer = null;
         }
+        this.revokeLocalDownload();
         this.serverDownloadPath = null;
         this.pendingOperations = [];
     }
 
     cleanup() {
+        this.disconnectAnalyser();
         if (this.audio) {
             this.eventListeners.forEach((listeners, event) => {
                 listeners.forEach((callback) => {
@@ -427,9 +1468,7 @@ export class AudioService {
                 });
             });
 
-            this.audio.pause();
-            this.audio.src = "";
-            this.audio = null;
+            this.releaseAudio();
         }
 
         if (this.mediaSource && this.mediaSource.readyState === "open") {
@@ -446,8 +1485,31 @@ export class AudioService {
             this.sourceBuffer.removeEventListener("updateerror", () => {});
             this.sourceBuffer = null;
         }
+        this.revokeLocalDownload();
         this.serverDownloadPath = null;
         this.pendingOperations = [];
+        this.wordTimestamps = [];
+        this.timestampOffset = 0;
+        this.audioChunks = [];
+        this.clipBlob = null;
+        this.revokeClipUrl();
+        this.bufferTrimmed = false;
+    }
+
+    releaseAudio() {
+        this.audio.pause();
+        if (this.audio instanceof PcmPlayer) {
+            this.audio.close();
+        } else {
+            this.audio.src = "";
+        }
+        this.audio = null;
+    }
+
+    revokeLocalDownload() {
+        if (this.serverDownloadPath && this.serverDownloadPath.startsWith('blob:')) {
+            URL.revokeObjectURL(this.serverDownloadPath);
+        }
     }
 
     getDownloadUrl() {
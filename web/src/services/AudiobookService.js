@@ -0,0 +1,93 @@
+import { buildId3Tag } from '../utils/id3.js';
+import { readMp3 } from '../utils/mp3.js';
+import { concatWav, parseWav } from '../utils/wav.js';
+
+export class AudiobookService {
+    /**
+     * Join chapter files into one audiobook. MP3 books carry ID3 tags with chapter markers;
+     * WAV has no widely read chapter format, so only the audio is joined.
+     * @param {Array<{title: string, blob: Blob, format: string}>} chapters - In playback order, all one format
+     * @param {Object} [metadata]
+     * @param {string} [metadata.title]
+     * @param {string} [metadata.artist]
+     * @param {string} [metadata.comment]
+     * @param {string} [metadata.voice] - Voice string the chapters were generated with
+     * @param {string} [metadata.text] - Source text
+     * @param {File} [metadata.cover] - JPEG or PNG image
+     * @returns {Promise<{blob: Blob, format: string, chapters: Array<{title: string, start: number, end: number}>}>}
+     */
+    async build(chapters, metadata = {}) {
+        if (chapters.length === 0) {
+            throw new Error('Generate at least one chapter first');
+        }
+        const format = chapters[0].format;
+        if (chapters.some(chapter => chapter.format !== format)) {
+            throw new Error('Chapters were generated in different formats — regenerate them in one format');
+        }
+
+        const buffers = await Promise.all(chapters.map(chapter => chapter.blob.arrayBuffer()));
+        if (format === 'wav') {
+            const durations = buffers.map(buffer => {
+                const wav = parseWav(buffer);
+                return wav.data.byteLength / (wav.sampleRate * wav.channels * wav.bitsPerSample / 8);
+            });
+            return { blob: concatWav(buffers), format, chapters: this.getTimeline(chapters, durations) };
+        }
+
+        const audio = buffers.map(buffer => readMp3(buffer));
+        const timeline = this.getTimeline(chapters, audio.map(({ duration }) => duration));
+        const tag = buildId3Tag({
+            title: metadata.title,
+            artist: metadata.artist,
+            album: metadata.title,
+            genre: 'Audiobook',
+            comment: metadata.comment,
+            text: metadata.text,
+            custom: { Voice: metadata.voice },
+            cover: metadata.cover ? await this.readCover(metadata.cover) : null,
+            chapters: timeline
+        });
+
+        return {
+            blob: new Blob([tag, ...audio.flatMap(({ data }) => data)], { type: 'audio/mpeg' }),
+            format,
+            chapters: timeline
+        };
+    }
+
+    getTimeline(chapters, durations) {
+        let start = 0;
+        return chapters.map((chapter, i) => {
+            const entry = { title: chapter.title, start, end: start + durations[i] };
+            start = entry.end;
+            return entry;
+        });
+    }
+
+    async readCover(file) {
+        if (!['image/jpeg', 'image/png'].includes(file.type)) {
+            throw new Error('Cover art must be a JPEG or PNG image');
+        }
+        return { mime: file.type, data: new Uint8Array(await file.arrayBuffer()) };
+    }
+
+    /**
+     * Chapter list in the "HH:MM:SS.mmm Title" form M4B tools such as mp4chaps import
+     * @param {Array<{title: string, start: number}>} chapters
+     * @returns {string}
+     */
+    getChapterList(chapters) {
+        return chapters
+            .map(({ title, start }) => `${this.formatTimestamp(start)} ${title.replace(/\s+/g, ' ')}`)
+            .join('\n') + '\n';
+    }
+
+    formatTimestamp(seconds) {
+        const ms = Math.round(seconds * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+            `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+    }
+}
+
+export default AudiobookService;
@@ -0,0 +1,142 @@
+import { config } from '../config.js';
+
+const STORAGE_KEY = 'kokoro-studio.blends';
+
+export class BlendService {
+    constructor() {
+        this.blends = new Map(); // name -> { name, voices: [{ voice, weight }], createdAt }
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            this.blends.clear();
+            stored
+                .filter(blend => blend.name && Array.isArray(blend.voices) && blend.voices.length > 0)
+                .forEach(blend => this.blends.set(blend.name, blend));
+        } catch (error) {
+            console.warn('Failed to load saved blends:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.getBlends()));
+        } catch (error) {
+            console.error('Failed to save blends:', error);
+            throw error;
+        }
+    }
+
+    getBlends() {
+        return Array.from(this.blends.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getBlend(name) {
+        return this.blends.get(name) || null;
+    }
+
+    /**
+     * Save a voice mix under a name, replacing any blend with the same name
+     * @param {string} name - Display name
+     * @param {Array<{voice: string, weight: number}>} voices - Voices and mix weights
+     * @returns {Object} Saved blend
+     */
+    saveBlend(name, voices) {
+        const cleanName = (name || '').trim();
+        if (!cleanName) {
+            throw new Error('Give the blend a name');
+        }
+        if (!voices || voices.length === 0) {
+            throw new Error('Select at least one voice to save a blend');
+        }
+
+        const blend = {
+            name: cleanName,
+            voices: voices.map(({ voice, weight }) => ({ voice, weight })),
+            createdAt: Date.now()
+        };
+        this.blends.set(cleanName, blend);
+        this.save();
+        return blend;
+    }
+
+    removeBlend(name) {
+        const removed = this.blends.delete(name);
+        if (removed) this.save();
+        return removed;
+    }
+
+    /**
+     * Voice string the speech endpoints accept for a blend
+     * @param {Object} blend
+     * @returns {string} e.g. "af_bella(0.67)+af_sky(0.33)"
+     */
+    getVoiceString(blend) {
+        if (blend.voices.length === 1) {
+            return blend.voices[0].voice;
+        }
+        // Same fractional form the voice mixer emits
+        const total = blend.voices.reduce((sum, { weight }) => sum + weight, 0);
+        return blend.voices
+            .map(({ voice, weight }) => `${voice}(${parseFloat((weight / total).toFixed(2))})`)
+            .join('+');
+    }
+
+    /**
+     * The combine endpoint averages the voices it is given, so weights are
+     * expressed by repeating voices in proportion to them
+     * @param {Object} blend
+     * @param {number} [maxVoices=20] - Cap on the length of the list sent
+     * @returns {string[]} Voice names
+     */
+    getCombineList(blend, maxVoices = 20) {
+        const weights = blend.voices.map(({ weight }) => weight);
+        const smallest = Math.min(...weights);
+        const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+
+        // Pick the scale whose rounded counts stay closest to the real ratios
+        let best = null;
+        for (let scale = 1; scale <= maxVoices; scale++) {
+            const counts = weights.map(weight => Math.max(1, Math.round((weight / smallest) * scale)));
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            if (total > maxVoices) break;
+
+            const error = counts.reduce((sum, count, i) => sum + Math.abs(count / total - weights[i] / weightTotal), 0);
+            if (!best || error < best.error - 1e-9) {
+                best = { counts, error };
+            }
+        }
+        const counts = best ? best.counts : weights.map(() => 1);
+
+        const list = blend.voices.flatMap(({ voice }, i) => Array(counts[i]).fill(voice));
+        // The endpoint needs at least two entries, a single voice combines with itself
+        return list.length === 1 ? [list[0], list[0]] : list;
+    }
+
+    /**
+     * Build a combined voice file on the server
+     * @param {Object} blend
+     * @returns {Promise<Blob>} .pt voice file
+     */
+    async exportVoice(blend) {
+        const apiUrl = await config.getApiUrl('/v1/audio/voices/combine');
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.getCombineList(blend))
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            if (response.status === 403) {
+                throw new Error('Voice export is disabled on this server');
+            }
+            throw new Error(error.detail?.message || 'Failed to combine voices');
+        }
+        return response.blob();
+    }
+}
+
+export default BlendService;
@@ -0,0 +1,138 @@
+const DB_NAME = 'kokoro-studio-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'clips';
+
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Content-addressed store of generated clips, so repeating a generation plays local bytes
+ * instead of synthesizing again. Least recently used clips are evicted past the limits.
+ */
+export class CacheService {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxBytes] - Total audio size kept
+     * @param {number} [options.maxEntries] - Number of clips kept
+     */
+    constructor({ maxBytes = DEFAULT_MAX_BYTES, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                        store.createIndex('usedAt', 'usedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Hash everything that affects the generated audio into a cache key
+     * @param {Object} request - Text or segments, voice, speed, language, normalization, format...
+     * @returns {Promise<string|null>} Hex SHA-256, or null where hashing is unavailable (insecure contexts)
+     */
+    async getKey(request) {
+        if (!window.crypto?.subtle) return null;
+        const data = new TextEncoder().encode(JSON.stringify(request));
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Look up a clip and mark it as recently used
+     * @param {string} key
+     * @returns {Promise<{audio: Blob, format: string, timestamps: Array}|null>}
+     */
+    async get(key) {
+        const entry = await this.transaction('readonly', store => store.get(key));
+        if (!entry) return null;
+
+        this.transaction('readwrite', store => store.put({ ...entry, usedAt: Date.now() }))
+            .catch(error => console.warn('Failed to update cache entry:', error));
+        return entry;
+    }
+
+    /**
+     * Store a clip, then evict the least recently used clips past the limits
+     * @param {string} key
+     * @param {Object} clip
+     * @param {Blob} clip.audio - Encoded audio in the download format
+     * @param {string} clip.format - File extension of the audio
+     * @param {Array} [clip.timestamps] - Word timestamps, for captioned clips
+     */
+    async put(key, { audio, format, timestamps = [] }) {
+        if (audio.size > this.maxBytes) return;
+        const now = Date.now();
+        await this.transaction('readwrite', store => store.put({
+            key, audio, format, timestamps, size: audio.size, createdAt: now, usedAt: now
+        }));
+        await this.evict();
+    }
+
+    async evict() {
+        await this.transaction('readwrite', store => {
+            // Walk from the most recently used, deleting everything past the limits
+            let bytes = 0;
+            let count = 0;
+            const request = store.index('usedAt').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                bytes += cursor.value.size;
+                count++;
+                if (bytes > this.maxBytes || count > this.maxEntries) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            return null;
+        });
+    }
+
+    /**
+     * @returns {Promise<{entries: number, bytes: number, maxBytes: number}>}
+     */
+    async getUsage() {
+        const entries = await this.transaction('readonly', store => store.getAll()) || [];
+        return {
+            entries: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            maxBytes: this.maxBytes
+        };
+    }
+
+    async clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+export default CacheService;
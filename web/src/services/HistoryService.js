@@ -0,0 +1,120 @@
+const DB_NAME = 'kokoro-studio';
+const DB_VERSION = 1;
+const STORE_NAME = 'generations';
+
+export class HistoryService {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and upgrade if needed) the history database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('createdAt', 'createdAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Store a generation
+     * @param {Object} entry
+     * @param {string} entry.text - Input text
+     * @param {string} entry.voice - Voice string sent to the API
+     * @param {number} entry.speed - Generation speed
+     * @param {string} entry.format - Format of the stored audio
+     * @param {number} entry.duration - Duration in seconds
+     * @param {Blob} entry.audio - Encoded audio
+     * @returns {Promise<number>} ID of the stored entry
+     */
+    async add(entry) {
+        const record = {
+            ...entry,
+            size: entry.audio?.size || 0,
+            createdAt: entry.createdAt || Date.now()
+        };
+        return this.transaction('readwrite', store => store.add(record));
+    }
+
+    async get(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    /**
+     * List stored generations, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+        const entries = await this.transaction('readonly', store => store.index('createdAt').getAll());
+        return (entries || []).reverse();
+    }
+
+    /**
+     * Find generations whose text or voice contains the search term
+     * @param {string} searchTerm
+     * @returns {Promise<Array<Object>>}
+     */
+    async search(searchTerm) {
+        const entries = await this.list();
+        if (!searchTerm) {
+            return entries;
+        }
+
+        const term = searchTerm.toLowerCase();
+        return entries.filter(entry =>
+            entry.text.toLowerCase().includes(term) ||
+            entry.voice.toLowerCase().includes(term)
+        );
+    }
+
+    async delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    async clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+
+    /**
+     * Get browser storage usage for this origin
+     * @returns {Promise<{usage: number, quota: number}|null>} Bytes used and available, or null if unsupported
+     */
+    async getStorageEstimate() {
+        if (!navigator.storage?.estimate) {
+            return null;
+        }
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+}
+
+export default HistoryService;
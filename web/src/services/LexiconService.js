@@ -0,0 +1,176 @@
+import { config } from '../config.js';
+
+const STORAGE_KEY = 'kokoro-studio.lexicon';
+
+// Same pattern the server uses to recognise inline phoneme overrides: [word](/phonemes/)
+const CUSTOM_PHONEMES = /(\[[^[\]]*?\]\(\/[^/()]*?\/\))/;
+
+export class LexiconService {
+    constructor() {
+        this.entries = new Map(); // lowercased word -> { word, phonemes, language }
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            this.entries.clear();
+            stored.forEach(entry => this.setEntry(entry, false));
+        } catch (error) {
+            console.warn('Failed to load lexicon:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.getEntries()));
+        } catch (error) {
+            console.error('Failed to save lexicon:', error);
+            throw error;
+        }
+    }
+
+    getEntries() {
+        return Array.from(this.entries.values())
+            .sort((a, b) => a.word.localeCompare(b.word));
+    }
+
+    getEntry(word) {
+        return this.entries.get(word.trim().toLowerCase()) || null;
+    }
+
+    /**
+     * Add or replace a pronunciation override
+     * @param {Object} entry
+     * @param {string} entry.word - Word or phrase as written in the script
+     * @param {string} entry.phonemes - Replacement phonemes
+     * @param {string} [entry.language] - Language code the phonemes are for, empty for all
+     * @param {boolean} [persist=true] - Write the lexicon to local storage
+     */
+    setEntry({ word, phonemes, language = '' }, persist = true) {
+        const cleanWord = (word || '').trim();
+        const cleanPhonemes = (phonemes || '').trim();
+        if (!cleanWord || !cleanPhonemes) {
+            throw new Error('Both a word and its phonemes are required');
+        }
+        if (/[[\]()/]/.test(cleanWord) || /[[\]()/]/.test(cleanPhonemes)) {
+            throw new Error('Words and phonemes cannot contain brackets or slashes');
+        }
+
+        this.entries.set(cleanWord.toLowerCase(), { word: cleanWord, phonemes: cleanPhonemes, language });
+        if (persist) this.save();
+    }
+
+    removeEntry(word) {
+        const removed = this.entries.delete(word.trim().toLowerCase());
+        if (removed) this.save();
+        return removed;
+    }
+
+    /**
+     * Replace lexicon words in text with inline phoneme overrides
+     * Existing [word](/phonemes/) markup is left untouched
+     * @param {string} text - Script text
+     * @param {string} [language] - Language code of the voice in use
+     * @returns {string} Text ready to send to the API
+     */
+    applyToText(text, language) {
+        const entries = Array.from(this.entries.values())
+            .filter(entry => !entry.language || !language || entry.language === language)
+            // Longest first so phrases win over the words inside them
+            .sort((a, b) => b.word.length - a.word.length);
+        if (entries.length === 0) {
+            return text;
+        }
+
+        const escaped = entries.map(entry => entry.word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(${escaped.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+
+        return text
+            .split(CUSTOM_PHONEMES)
+            .map(part => CUSTOM_PHONEMES.test(part)
+                ? part
+                : part.replace(pattern, (match) => {
+                    const entry = this.getEntry(match);
+                    return entry ? `[${match}](/${entry.phonemes}/)` : match;
+                }))
+            .join('');
+    }
+
+    /**
+     * Get the phonemes the server would use for a word
+     * @param {string} text - Word or phrase
+     * @param {string} [language='a'] - Language code
+     * @returns {Promise<string>} Phoneme string
+     */
+    async phonemize(text, language = 'a') {
+        const apiUrl = await config.getApiUrl('/dev/phonemize');
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text, language })
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.detail?.message || 'Failed to phonemize text');
+        }
+        const data = await response.json();
+        return data.phonemes;
+    }
+
+    /**
+     * Synthesize phonemes directly so an override can be auditioned
+     * @param {string} phonemes - Phoneme string
+     * @param {string} voice - Voice ID
+     * @returns {Promise<Blob>} WAV audio
+     */
+    async audition(phonemes, voice) {
+        const apiUrl = await config.getApiUrl('/dev/generate_from_phonemes');
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phonemes, voice })
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.detail?.message || 'Failed to generate audio from phonemes');
+        }
+        return response.blob();
+    }
+
+    /**
+     * Serialize the lexicon for sharing
+     * @returns {Blob} JSON file
+     */
+    exportJSON() {
+        const data = { version: 1, entries: this.getEntries() };
+        return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    }
+
+    /**
+     * Merge entries from an exported lexicon file, replacing words that already exist
+     * @param {string} json - File contents
+     * @returns {number} Number of entries imported
+     */
+    importJSON(json) {
+        const data = JSON.parse(json);
+        const entries = Array.isArray(data) ? data : data.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error('Lexicon file has no entries');
+        }
+
+        let imported = 0;
+        for (const entry of entries) {
+            try {
+                this.setEntry(entry, false);
+                imported++;
+            } catch (error) {
+                console.warn('Skipping invalid lexicon entry:', entry, error.message);
+            }
+        }
+        this.save();
+        return imported;
+    }
+}
+
+export default LexiconService;
@@ -0,0 +1,94 @@
+import { config } from '../config.js';
+
+const STORAGE_KEY = 'kokoro-studio.normalization';
+
+/**
+ * Server defaults for NormalizationOptions
+ */
+export const DEFAULT_NORMALIZATION = {
+    normalize: true,
+    unit_normalization: false,
+    url_normalization: true,
+    email_normalization: true,
+    optional_pluralization_normalization: true,
+    phone_normalization: true,
+    replace_remaining_symbols: true
+};
+
+export class NormalizationService {
+    constructor() {
+        this.options = { ...DEFAULT_NORMALIZATION };
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            // Only keep known keys so stale settings can't reach the API
+            Object.keys(DEFAULT_NORMALIZATION).forEach(key => {
+                if (typeof stored[key] === 'boolean') {
+                    this.options[key] = stored[key];
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to load normalization options:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.options));
+        } catch (error) {
+            console.error('Failed to save normalization options:', error);
+        }
+    }
+
+    getOptions() {
+        return { ...this.options };
+    }
+
+    setOption(key, value) {
+        if (!(key in DEFAULT_NORMALIZATION)) {
+            throw new Error(`Unknown normalization option: ${key}`);
+        }
+        this.options[key] = !!value;
+        this.save();
+    }
+
+    reset() {
+        this.options = { ...DEFAULT_NORMALIZATION };
+        this.save();
+    }
+
+    isDefault() {
+        return Object.entries(DEFAULT_NORMALIZATION).every(([key, value]) => this.options[key] === value);
+    }
+
+    /**
+     * Generate a short clip of sample text with the current options
+     * @param {string} text - Sample text
+     * @param {string} voice - Voice string
+     * @returns {Promise<Blob>} MP3 audio
+     */
+    async preview(text, voice) {
+        const apiUrl = await config.getApiUrl('/v1/audio/speech');
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                input: text,
+                voice: voice,
+                response_format: 'mp3',
+                stream: false,
+                normalization_options: this.getOptions()
+            })
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.detail?.message || 'Failed to generate preview');
+        }
+        return response.blob();
+    }
+}
+
+export default NormalizationService;
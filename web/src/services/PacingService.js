@@ -0,0 +1,138 @@
+const STORAGE_KEY = 'kokoro-studio.pacing';
+
+const DEFAULT_SECONDS_PER_CHAR = 1 / 15; // Typical reading rate at speed 1
+const LEARNING_RATE = 0.3; // Weight of the newest generation in the running averages
+const MIN_SAMPLE_CHARS = 20; // Shorter generations say little about pacing
+const ALL_VOICES = '*';
+
+/**
+ * Tracks the generation in progress against the audio duration it is expected to reach.
+ * Expectations are learned from finished generations, per voice and speed.
+ */
+export class PacingService {
+    constructor() {
+        this.profiles = {}; // "voice@speed" -> { secondsPerChar, samples }, ALL_VOICES holds the speed 1 rate
+        this.audioRate = null; // Seconds of audio generated per second of waiting, across voices
+        this.current = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            this.profiles = stored.profiles || {};
+            this.audioRate = stored.audioRate || null;
+        } catch (error) {
+            console.warn('Failed to load pacing:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ profiles: this.profiles, audioRate: this.audioRate }));
+        } catch (error) {
+            console.warn('Failed to save pacing:', error);
+        }
+    }
+
+    getKey(voice, speed) {
+        return `${voice}@${Number(speed).toFixed(2)}`;
+    }
+
+    /**
+     * Expected length of the audio for a text
+     * @param {number} chars - Characters sent
+     * @param {string} voice - Voice string
+     * @param {number} speed - Generation speed
+     * @returns {number} Seconds
+     */
+    estimateDuration(chars, voice, speed) {
+        const profile = this.profiles[this.getKey(voice, speed)];
+        if (profile) {
+            return chars * profile.secondsPerChar;
+        }
+        const overall = this.profiles[ALL_VOICES]?.secondsPerChar || DEFAULT_SECONDS_PER_CHAR;
+        return chars * overall / speed;
+    }
+
+    /**
+     * Start tracking a generation
+     * @param {{chars: number, voice: string, speed: number}} generation
+     */
+    begin({ chars, voice, speed }) {
+        this.current = {
+            chars,
+            voice,
+            speed,
+            expected: this.estimateDuration(chars, voice, speed),
+            startedAt: performance.now(),
+            firstAudioAt: null,
+            received: 0
+        };
+    }
+
+    /**
+     * Report the audio decoded so far
+     * @param {number} [received] - Seconds of audio, defaults to the last amount reported
+     * @returns {{fraction: number, eta: number|null, firstAudio: number|null, elapsed: number}|null}
+     *          Share of the expected audio received, estimated seconds left, seconds until the first audio
+     *          arrived and seconds since the start; null when nothing is being tracked
+     */
+    update(received = this.current?.received) {
+        const current = this.current;
+        if (!current) return null;
+
+        const now = performance.now();
+        if (received > 0 && current.firstAudioAt === null) {
+            current.firstAudioAt = now;
+        }
+        current.received = received;
+        // Running past the estimate pushes it out, so the bar slows down instead of sitting at the end
+        current.expected = Math.max(current.expected, received * 1.05);
+
+        const elapsed = (now - current.startedAt) / 1000;
+        const remaining = current.expected - received;
+        let eta = null;
+        if (received >= 1 && elapsed > 0) {
+            eta = remaining / (received / elapsed);
+        } else if (this.audioRate) {
+            eta = Math.max(0, current.expected / this.audioRate - elapsed);
+        }
+
+        return {
+            fraction: Math.min(0.99, received / current.expected),
+            eta,
+            firstAudio: current.firstAudioAt === null ? null : (current.firstAudioAt - current.startedAt) / 1000,
+            elapsed
+        };
+    }
+
+    /**
+     * Stop tracking and, for a generation that ran to the end, learn from how long its audio came out
+     * @param {boolean} [completed=true] - False when cancelled or failed
+     */
+    finish(completed = true) {
+        const current = this.current;
+        this.current = null;
+        if (!completed || !current || current.chars < MIN_SAMPLE_CHARS || current.received < 0.5) return;
+
+        const secondsPerChar = current.received / current.chars;
+        const learn = (key, value) => {
+            const profile = this.profiles[key];
+            this.profiles[key] = profile
+                ? { secondsPerChar: profile.secondsPerChar + (value - profile.secondsPerChar) * LEARNING_RATE, samples: profile.samples + 1 }
+                : { secondsPerChar: value, samples: 1 };
+        };
+        learn(this.getKey(current.voice, current.speed), secondsPerChar);
+        learn(ALL_VOICES, secondsPerChar * current.speed);
+
+        const elapsed = (performance.now() - current.startedAt) / 1000;
+        if (elapsed > 0) {
+            const rate = current.received / elapsed;
+            this.audioRate = this.audioRate ? this.audioRate + (rate - this.audioRate) * LEARNING_RATE : rate;
+        }
+        this.save();
+    }
+}
+
+export default PacingService;
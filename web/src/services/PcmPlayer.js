@@ -0,0 +1,292 @@
+import { buildWav, readWavHeader } from '../utils/wav.js';
+
+const START_THRESHOLD = 0.3; // Seconds that must arrive before playback can start
+const QUEUE_AHEAD = 4; // Seconds of samples kept in the worklet ahead of the play position
+const RING_SECONDS = 8; // Worklet buffer size, comfortably above QUEUE_AHEAD
+const REPORT_INTERVAL = 0.05; // Seconds between position reports from the worklet
+
+/**
+ * Plays streamed WAV responses through an AudioWorklet, starting as soon as a fraction of a second
+ * has arrived instead of waiting for MediaSource to buffer mp3 frames. Every sample received is kept,
+ * so the whole clip stays seekable. Mirrors the parts of HTMLAudioElement that AudioService uses:
+ * play/pause, currentTime, duration, volume, readyState and the play/pause/ended/timeupdate events.
+ */
+export class PcmPlayer extends EventTarget {
+    /**
+     * @param {AudioContext} context - Context the player's output lives in
+     */
+    constructor(context) {
+        super();
+        this.context = context;
+        this.node = null;
+        this.output = context.createGain(); // Connect this to hear the player
+        this.format = null; // { sampleRate, channels, bitsPerSample } of the first response
+        this.samples = new Int16Array(0); // Interleaved samples received, as sent by the server
+        this.length = 0; // Samples in use
+        this.pending = new Uint8Array(0); // Bytes of an unfinished header or sample
+        this.headerRead = false;
+        this.queued = 0; // Frame after the last sample sent to the worklet
+        this.position = 0; // Frame last reported by the worklet
+        this.reportedAt = 0; // Context time of that report
+        this.complete = false;
+        this.endSent = false; // The worklet knows no samples follow the ones it has
+        this.paused = true;
+        this.ended = false;
+        this.error = null;
+        this.readyState = 0;
+        this.timeUpdateTimer = null;
+    }
+
+    /**
+     * Load the worklet and create the node that plays through it
+     */
+    async load() {
+        await this.context.audioWorklet.addModule(new URL('../worklets/pcm-processor.js', import.meta.url));
+        this.node = new AudioWorkletNode(this.context, 'pcm-player', { numberOfInputs: 0, outputChannelCount: [2] });
+        this.node.port.onmessage = (event) => this.handleMessage(event.data);
+        this.node.connect(this.output);
+    }
+
+    handleMessage(message) {
+        if (message.type === 'position') {
+            this.position = message.frame;
+            this.reportedAt = this.context.currentTime;
+            this.fill();
+        } else if (message.type === 'ended') {
+            this.paused = true;
+            this.ended = true;
+            this.stopTimeUpdates();
+            this.dispatchEvent(new Event('pause'));
+            this.dispatchEvent(new Event('ended'));
+        }
+    }
+
+    get frames() {
+        return this.format ? this.length / this.format.channels : 0;
+    }
+
+    get duration() {
+        return this.format ? this.frames / this.format.sampleRate : 0;
+    }
+
+    get currentTime() {
+        if (!this.format) return 0;
+        let time = this.position / this.format.sampleRate;
+        if (!this.paused) {
+            // Reports come in steps, move smoothly between them
+            time += Math.min(this.context.currentTime - this.reportedAt, REPORT_INTERVAL * 2);
+        }
+        return Math.min(time, this.queued / this.format.sampleRate);
+    }
+
+    set currentTime(time) {
+        if (!this.format) return;
+        const frame = Math.max(0, Math.min(Math.round(time * this.format.sampleRate), this.frames));
+        this.position = frame;
+        this.reportedAt = this.context.currentTime;
+        this.queued = frame;
+        this.ended = false;
+        this.endSent = false;
+        this.node?.port.postMessage({ type: 'seek', frame });
+        this.fill();
+        this.dispatchEvent(new Event('timeupdate'));
+    }
+
+    get volume() {
+        return this.output.gain.value;
+    }
+
+    set volume(volume) {
+        this.output.gain.value = volume;
+    }
+
+    /**
+     * Start reading a new response, whose bytes begin with a WAV header
+     */
+    beginStream() {
+        this.pending = new Uint8Array(0);
+        this.headerRead = false;
+    }
+
+    /**
+     * Add bytes of the current response
+     * @param {Uint8Array} bytes
+     */
+    appendBytes(bytes) {
+        let data = bytes;
+        if (this.pending.length > 0) {
+            data = new Uint8Array(this.pending.length + bytes.length);
+            data.set(this.pending);
+            data.set(bytes, this.pending.length);
+        }
+
+        if (!this.headerRead) {
+            const header = readWavHeader(data);
+            if (!header) {
+                this.pending = data;
+                return;
+            }
+            this.setFormat(header);
+            this.headerRead = true;
+            data = data.subarray(header.dataOffset);
+        }
+
+        const blockAlign = this.format.channels * 2;
+        const usable = data.length - (data.length % blockAlign);
+        this.pending = data.slice(usable);
+        if (usable === 0) return;
+
+        this.addSamples(new Int16Array(data.slice(0, usable).buffer));
+        this.fill();
+
+        if (this.readyState < 4 && this.duration >= START_THRESHOLD) {
+            this.readyState = 4;
+            this.dispatchEvent(new Event('canplay'));
+        }
+    }
+
+    setFormat({ sampleRate, channels, bitsPerSample }) {
+        if (this.format) {
+            if (sampleRate !== this.format.sampleRate || channels !== this.format.channels) {
+                throw new Error('Streams returned audio in different formats');
+            }
+            return;
+        }
+        if (bitsPerSample !== 16) {
+            throw new Error(`Unsupported WAV sample size: ${bitsPerSample} bits`);
+        }
+        this.format = { sampleRate, channels, bitsPerSample };
+        this.node?.port.postMessage({ type: 'format', sampleRate, seconds: RING_SECONDS });
+    }
+
+    addSamples(samples) {
+        if (this.length + samples.length > this.samples.length) {
+            const grown = new Int16Array(Math.max(this.samples.length * 2, this.length + samples.length));
+            grown.set(this.samples.subarray(0, this.length));
+            this.samples = grown;
+        }
+        this.samples.set(samples, this.length);
+        this.length += samples.length;
+    }
+
+    /**
+     * Send the worklet what it needs to stay QUEUE_AHEAD in front of the play position
+     */
+    fill() {
+        if (!this.node || !this.format) return;
+
+        const { sampleRate, channels } = this.format;
+        const target = Math.min(this.frames, Math.floor(this.position + QUEUE_AHEAD * sampleRate));
+        if (target > this.queued) {
+            // The worklet plays mono, mixing down costs nothing for the usual single channel
+            const samples = new Float32Array(target - this.queued);
+            for (let i = 0; i < samples.length; i++) {
+                let sum = 0;
+                const offset = (this.queued + i) * channels;
+                for (let c = 0; c < channels; c++) {
+                    sum += this.samples[offset + c];
+                }
+                samples[i] = sum / channels / 32768;
+            }
+            this.node.port.postMessage({ type: 'samples', start: this.queued, samples }, [samples.buffer]);
+            this.queued = target;
+        }
+
+        if (this.complete && !this.endSent && this.queued >= this.frames) {
+            this.endSent = true;
+            this.node.port.postMessage({ type: 'end' });
+        }
+    }
+
+    /**
+     * Mark the clip as complete, so playback ends once the last sample has played
+     */
+    finish() {
+        this.complete = true;
+        if (this.readyState < 4 && this.length > 0) {
+            this.readyState = 4;
+            this.dispatchEvent(new Event('canplay'));
+        }
+        this.fill();
+    }
+
+    /**
+     * Drop everything received after a point
+     * @param {number} time - Seconds to keep
+     */
+    truncate(time) {
+        if (!this.format) return;
+        const frame = Math.max(0, Math.min(Math.round(time * this.format.sampleRate), this.frames));
+        this.length = frame * this.format.channels;
+        this.pending = new Uint8Array(0);
+        if (this.queued > frame) {
+            this.queued = frame;
+            this.node?.port.postMessage({ type: 'truncate', frame });
+        }
+    }
+
+    play() {
+        if (this.ended) {
+            this.currentTime = 0;
+        }
+        if (this.paused) {
+            this.paused = false;
+            this.reportedAt = this.context.currentTime;
+            this.node?.port.postMessage({ type: 'play' });
+            this.startTimeUpdates();
+            this.dispatchEvent(new Event('play'));
+        }
+        return Promise.resolve();
+    }
+
+    pause() {
+        if (this.paused) return;
+        if (this.format) {
+            this.position = Math.round(this.currentTime * this.format.sampleRate);
+        }
+        this.paused = true;
+        this.node?.port.postMessage({ type: 'pause' });
+        this.stopTimeUpdates();
+        this.dispatchEvent(new Event('pause'));
+    }
+
+    startTimeUpdates() {
+        this.stopTimeUpdates();
+        // Media elements fire timeupdate about four times a second while playing
+        this.timeUpdateTimer = setInterval(() => this.dispatchEvent(new Event('timeupdate')), 250);
+    }
+
+    stopTimeUpdates() {
+        if (this.timeUpdateTimer) {
+            clearInterval(this.timeUpdateTimer);
+            this.timeUpdateTimer = null;
+        }
+    }
+
+    /**
+     * Everything received, as a WAV file
+     * @returns {Blob|null}
+     */
+    toWav() {
+        if (!this.format || this.length === 0) return null;
+        const bytes = new Uint8Array(this.samples.buffer, 0, this.length * 2);
+        return buildWav([bytes.slice()], this.format);
+    }
+
+    /**
+     * Stop playback and release the worklet node
+     */
+    close() {
+        this.stopTimeUpdates();
+        this.paused = true;
+        if (this.node) {
+            this.node.port.postMessage({ type: 'close' });
+            this.node.port.onmessage = null;
+            this.node.disconnect();
+            this.node = null;
+        }
+        this.output.disconnect();
+    }
+}
+
+export default PcmPlayer;
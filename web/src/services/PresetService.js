@@ -0,0 +1,64 @@
+const STORAGE_KEY = 'kokoro-studio.presets';
+
+export class PresetService {
+    constructor() {
+        this.presets = new Map(); // name -> { name, settings, createdAt }
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            this.presets.clear();
+            stored
+                .filter(preset => preset.name && preset.settings)
+                .forEach(preset => this.presets.set(preset.name, preset));
+        } catch (error) {
+            console.warn('Failed to load presets:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.getPresets()));
+        } catch (error) {
+            console.error('Failed to save presets:', error);
+            throw error;
+        }
+    }
+
+    getPresets() {
+        return Array.from(this.presets.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getPreset(name) {
+        return this.presets.get(name) || null;
+    }
+
+    /**
+     * Save a configuration under a name, replacing any preset with the same name
+     * @param {string} name - Display name
+     * @param {Object} settings - Voices, speed, format and toggles from App.getSettings
+     * @returns {Object} Saved preset
+     */
+    savePreset(name, settings) {
+        const cleanName = (name || '').trim();
+        if (!cleanName) {
+            throw new Error('Give the preset a name');
+        }
+
+        const preset = { name: cleanName, settings, createdAt: Date.now() };
+        this.presets.set(cleanName, preset);
+        this.save();
+        return preset;
+    }
+
+    removePreset(name) {
+        const removed = this.presets.delete(name);
+        if (removed) this.save();
+        return removed;
+    }
+}
+
+export default PresetService;
@@ -0,0 +1,164 @@
+const STORAGE_KEY = 'kokoro-studio.projects';
+const ACTIVE_KEY = 'kokoro-studio.active-project';
+
+/**
+ * Full text of a sectioned script, joined the way the editor joins sections it loads
+ * @param {Array<{title: string|null, text: string}>} sections
+ * @returns {string}
+ */
+function getSectionsText(sections) {
+    return sections.map(section => section.text).join('\n\n');
+}
+
+export class ProjectService {
+    constructor() {
+        // id -> { id, name, text, sections, settings, createdAt, updatedAt }
+        // Sectioned projects are stored without text, which is derived from the sections on load
+        this.projects = new Map();
+        this.activeId = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            this.projects.clear();
+            stored
+                .filter(project => project.id && (typeof project.text === 'string' || Array.isArray(project.sections)))
+                .forEach(project => this.projects.set(project.id, {
+                    ...project,
+                    text: project.sections ? getSectionsText(project.sections) : project.text
+                }));
+            this.activeId = localStorage.getItem(ACTIVE_KEY);
+        } catch (error) {
+            console.warn('Failed to load projects:', error);
+        }
+
+        // There is always a project to type into
+        if (this.projects.size === 0) {
+            this.createProject('Untitled script');
+        }
+        if (!this.projects.has(this.activeId)) {
+            this.activeId = this.getProjects()[0].id;
+        }
+    }
+
+    save() {
+        try {
+            // A whole book would otherwise be stored twice, as sections and as text
+            const projects = Array.from(this.projects.values())
+                .map(({ text, ...project }) => project.sections ? project : { ...project, text });
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(projects));
+            localStorage.setItem(ACTIVE_KEY, this.activeId);
+        } catch (error) {
+            console.error('Failed to save projects:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Object[]} Projects, most recently edited first
+     */
+    getProjects() {
+        return Array.from(this.projects.values())
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    getProject(id) {
+        return this.projects.get(id) || null;
+    }
+
+    getActiveProject() {
+        return this.projects.get(this.activeId);
+    }
+
+    setActive(id) {
+        if (!this.projects.has(id)) {
+            throw new Error('Project not found');
+        }
+        this.activeId = id;
+        this.save();
+    }
+
+    /**
+     * @param {string} name - Display name
+     * @param {Object} [contents] - Initial text and settings
+     * @returns {Object} New project, not yet active
+     */
+    createProject(name, { text = '', settings = null } = {}) {
+        const cleanName = (name || '').trim();
+        if (!cleanName) {
+            throw new Error('Give the project a name');
+        }
+
+        const now = Date.now();
+        const project = {
+            id: now.toString(36) + Math.random().toString(36).slice(2, 6),
+            name: cleanName,
+            text,
+            sections: null,
+            settings,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.projects.set(project.id, project);
+        if (!this.activeId) {
+            this.activeId = project.id;
+        }
+        this.save();
+        return project;
+    }
+
+    renameProject(id, name) {
+        const project = this.projects.get(id);
+        const cleanName = (name || '').trim();
+        if (!project || !cleanName) return false;
+        project.name = cleanName;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Store a project's latest text and settings
+     * @param {string} id
+     * @param {{text?: string, sections?: Array|null, settings?: Object}} changes -
+     *        sections holds named pages such as book chapters, null for plain text; with sections the text
+     *        follows from them and need not be passed
+     */
+    updateProject(id, { text, sections, settings }) {
+        const project = this.projects.get(id);
+        if (!project) return;
+        // Saves also run on switching and leaving the page, only real edits move a project up the list
+        const same = (value, stored) => value === undefined || JSON.stringify(value) === JSON.stringify(stored);
+        if (same(text, project.text) && same(sections, project.sections) && same(settings, project.settings)) return;
+
+        if (text !== undefined) project.text = text;
+        if (sections !== undefined) project.sections = sections;
+        if (settings !== undefined) project.settings = settings;
+        if (project.sections) project.text = getSectionsText(project.sections);
+        project.updatedAt = Date.now();
+        this.save();
+    }
+
+    /**
+     * Delete a project; removing the active one activates the most recent other project
+     * @returns {boolean} Whether the active project changed
+     */
+    removeProject(id) {
+        if (!this.projects.delete(id)) return false;
+        if (this.projects.size === 0) {
+            this.activeId = null;
+            this.createProject('Untitled script');
+            return true;
+        }
+        if (id === this.activeId) {
+            this.activeId = this.getProjects()[0].id;
+            this.save();
+            return true;
+        }
+        this.save();
+        return false;
+    }
+}
+
+export default ProjectService;
@@ -0,0 +1,132 @@
+export class SubtitleService {
+    constructor(options = {}) {
+        this.options = {
+            maxCharsPerLine: 42,  // Common broadcast guideline
+            maxLines: 2,
+            maxDuration: 6,       // Seconds per cue
+            maxGap: 1.0,          // Silence (seconds) that always starts a new cue
+            ...options
+        };
+    }
+
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Group word timestamps into subtitle cues
+     * @param {Array<{word: string, start_time: number, end_time: number}>} timestamps
+     * @returns {Array<{start: number, end: number, lines: string[]}>} Cues in playback order
+     */
+    buildCues(timestamps) {
+        const { maxCharsPerLine, maxLines, maxDuration, maxGap } = this.options;
+        const cues = [];
+        let words = [];
+
+        const flush = () => {
+            if (words.length === 0) return;
+            cues.push({
+                start: words[0].start_time,
+                end: words[words.length - 1].end_time,
+                lines: this.wrapWords(words.map(w => w.word), maxCharsPerLine)
+            });
+            words = [];
+        };
+
+        for (const timestamp of timestamps || []) {
+            const word = (timestamp.word || '').trim();
+            if (!word) continue;
+            const entry = { ...timestamp, word };
+
+            if (words.length > 0) {
+                const previous = words[words.length - 1];
+                const candidate = this.wrapWords([...words, entry].map(w => w.word), maxCharsPerLine);
+                const endsSentence = /[.!?…]["')\]]*$/.test(previous.word);
+
+                if (candidate.length > maxLines ||
+                    entry.end_time - words[0].start_time > maxDuration ||
+                    entry.start_time - previous.end_time > maxGap ||
+                    (endsSentence && !this.isPunctuation(word))) {
+                    flush();
+                }
+            }
+            words.push(entry);
+        }
+        flush();
+
+        // Keep cues from overlapping when timestamps are tight
+        for (let i = 0; i < cues.length - 1; i++) {
+            cues[i].end = Math.min(cues[i].end, cues[i + 1].start);
+        }
+        return cues;
+    }
+
+    isPunctuation(word) {
+        return /^[.,!?;:%)\]}'"…]+$/.test(word);
+    }
+
+    wrapWords(words, maxChars) {
+        const lines = [];
+        let line = '';
+        for (const word of words) {
+            if (!line) {
+                line = word;
+            } else if (this.isPunctuation(word)) {
+                line += word;
+            } else if ((line + ' ' + word).length > maxChars) {
+                lines.push(line);
+                line = word;
+            } else {
+                line += ' ' + word;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    formatTimestamp(seconds, separator) {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+            `${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+    }
+
+    toSRT(cues) {
+        return cues
+            .map((cue, i) => [
+                i + 1,
+                `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`,
+                ...cue.lines
+            ].join('\n'))
+            .join('\n\n') + '\n';
+    }
+
+    toWebVTT(cues) {
+        const body = cues
+            .map(cue => [
+                `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}`,
+                ...cue.lines
+            ].join('\n'))
+            .join('\n\n');
+        return `WEBVTT\n\n${body}\n`;
+    }
+
+    /**
+     * Build a subtitle file from word timestamps
+     * @param {Array} timestamps - Word timestamps from captioned speech
+     * @param {'srt'|'vtt'} format - Subtitle format
+     * @returns {Blob} Subtitle file
+     */
+    createFile(timestamps, format) {
+        const cues = this.buildCues(timestamps);
+        if (format === 'vtt') {
+            return new Blob([this.toWebVTT(cues)], { type: 'text/vtt' });
+        }
+        return new Blob([this.toSRT(cues)], { type: 'application/x-subrip' });
+    }
+}
+
+export default SubtitleService;
@@ -1,10 +1,56 @@
 import { config } from '../config.js';
+import { LANGUAGES, VOICE_LANGUAGES } from '../utils/languages.js';
+
+const GENDERS = { f: 'female', m: 'male' };
+
+/**
+ * Split an integer total in proportion to a basis, rounding so the parts still add up
+ * (largest remainder). An all-zero basis splits evenly.
+ * @param {number} total
+ * @param {number[]} basis
+ * @returns {number[]}
+ */
+function distributeShares(total, basis) {
+    if (basis.length === 0) return [];
+    const sum = basis.reduce((acc, value) => acc + value, 0);
+    const exact = basis.map(value => sum > 0 ? (value / sum) * total : total / basis.length);
+    const shares = exact.map(Math.floor);
+    let remainder = total - shares.reduce((acc, value) => acc + value, 0);
+
+    exact
+        .map((value, i) => ({ i, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ i }) => {
+            if (remainder > 0) {
+                shares[i]++;
+                remainder--;
+            }
+        });
+    return shares;
+}
+
+const PREVIEW_CACHE = 'kokoro-studio-previews';
+
+// Short line read by generated previews, in the voice's own language
+const PREVIEW_TEXT = {
+    a: 'Hello! This is a short preview of how I sound.',
+    b: 'Hello! This is a short preview of how I sound.',
+    e: '¡Hola! Esta es una breve muestra de mi voz.',
+    f: 'Bonjour ! Voici un court aperçu de ma voix.',
+    h: 'नमस्ते! यह मेरी आवाज़ का एक छोटा सा नमूना है।',
+    i: 'Ciao! Questa è una breve anteprima della mia voce.',
+    j: 'こんにちは。これは私の声の短いサンプルです。',
+    p: 'Olá! Esta é uma breve amostra da minha voz.',
+    z: '你好！这是我声音的简短示例。'
+};
 
 export class VoiceService {
     constructor() {
         this.availableVoices = [];
-        this.selectedVoices = new Map(); // Changed to Map to store voice:weight pairs
+        this.selectedVoices = new Map(); // voice -> integer percentage share, totals 100
+        this.lockedVoices = new Set(); // Voices whose share is kept when others change
         this._voiceSamplesAvailable = new Set(); // Voices that have pre-generated samples
+        this._previewUrls = new Map(); // voice string -> Promise<string> for generated previews
     }
 
     async loadVoices() {
@@ -58,6 +104,65 @@ export class VoiceService {
         return this._voiceSamplesAvailable;
     }
 
+    /**
+     * Get a playable URL for a voice preview. Voices with a bundled sample use it;
+     * custom voices and blends are generated once and cached in the browser.
+     * @param {string} voice - Voice ID or blend string
+     * @returns {Promise<string>} Audio URL
+     */
+    getPreviewUrl(voice) {
+        if (this._voiceSamplesAvailable.has(voice)) {
+            return Promise.resolve(`voice_samples/${voice}.mp3`);
+        }
+        if (!this._previewUrls.has(voice)) {
+            const pending = this._loadPreview(voice)
+                .then(blob => URL.createObjectURL(blob))
+                .catch(error => {
+                    // Let the next attempt try again
+                    this._previewUrls.delete(voice);
+                    throw error;
+                });
+            this._previewUrls.set(voice, pending);
+        }
+        return this._previewUrls.get(voice);
+    }
+
+    async _loadPreview(voice) {
+        const key = `preview-cache/${encodeURIComponent(voice)}`;
+        // The Cache API is only available in secure contexts
+        const cache = window.caches ? await caches.open(PREVIEW_CACHE).catch(() => null) : null;
+
+        const cached = await cache?.match(key);
+        if (cached) {
+            return cached.blob();
+        }
+
+        const langCode = voice.charAt(0).toLowerCase();
+        const known = langCode in PREVIEW_TEXT;
+        const apiUrl = await config.getApiUrl('/v1/audio/speech');
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                input: known ? PREVIEW_TEXT[langCode] : PREVIEW_TEXT.a,
+                voice: voice,
+                response_format: 'mp3',
+                stream: false,
+                // Custom voice names don't imply a language, read those as English
+                lang_code: known ? undefined : 'a'
+            })
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.detail?.message || 'Failed to generate preview');
+        }
+
+        const blob = await response.blob();
+        await cache?.put(key, new Response(blob, { headers: { 'Content-Type': 'audio/mpeg' } }))
+            .catch(error => console.warn('Failed to cache voice preview:', error));
+        return blob;
+    }
+
     getAvailableVoices() {
         return this.availableVoices;
     }
@@ -66,60 +171,265 @@ export class VoiceService {
         return Array.from(this.selectedVoices.keys());
     }
 
+    /**
+     * @returns {Array<{voice: string, weight: number, locked: boolean}>} Voices with their
+     *          percentage share of the mix, shares always total 100
+     */
     getSelectedVoiceWeights() {
         return Array.from(this.selectedVoices.entries()).map(([voice, weight]) => ({
             voice,
-            weight
+            weight,
+            locked: this.lockedVoices.has(voice)
         }));
     }
 
     getSelectedVoiceString() {
-        const entries = Array.from(this.selectedVoices.entries());
-        
-        // If only one voice with weight 1, return just the voice name
-        if (entries.length === 1 && entries[0][1] === 1) {
+        const entries = Array.from(this.selectedVoices.entries()).filter(([, share]) => share > 0);
+
+        // A single voice needs no weight
+        if (entries.length === 1) {
             return entries[0][0];
         }
-        
-        // Otherwise return voice(weight) format
+
+        // Shares as fractions of 1, so the blend is the same whether or not the server normalizes weights
         return entries
-            .map(([voice, weight]) => `${voice}(${weight})`)
+            .map(([voice, share]) => `${voice}(${parseFloat((share / 100).toFixed(3))})`)
             .join('+');
     }
 
-    addVoice(voice, weight = 1) {
-        if (this.availableVoices.includes(voice)) {
-            this.selectedVoices.set(voice, parseFloat(weight) || 1);
+    /**
+     * Add a voice to the mix with an equal share, taken from the unlocked voices
+     * @param {string} voice
+     * @returns {boolean} Whether the voice exists
+     */
+    addVoice(voice) {
+        if (!this.availableVoices.includes(voice)) {
+            return false;
+        }
+        if (this.selectedVoices.has(voice)) {
             return true;
         }
-        return false;
+
+        const free = this._getFreeShare();
+        const share = Math.min(free, Math.round(100 / (this.selectedVoices.size + 1)));
+        this.selectedVoices.set(voice, share);
+        this._rebalance(voice, free - share);
+        return true;
     }
 
-    updateWeight(voice, weight) {
-        if (this.selectedVoices.has(voice)) {
-            this.selectedVoices.set(voice, parseFloat(weight) || 1);
-            return true;
+    /**
+     * Set one voice's share; the other unlocked voices absorb the difference in proportion
+     * @param {string} voice
+     * @param {number} share - Percentage, clamped to what the locked voices leave free
+     * @returns {number} Share actually applied
+     */
+    setShare(voice, share) {
+        if (!this.selectedVoices.has(voice)) {
+            return 0;
+        }
+        if (this.lockedVoices.has(voice)) {
+            return this.selectedVoices.get(voice);
+        }
+
+        const free = this._getFreeShare(voice);
+        const hasOthers = this._getUnlockedVoices(voice).length > 0;
+        // With nothing left to rebalance against, the voice has to take whatever is free
+        const applied = hasOthers
+            ? Math.max(0, Math.min(free, Math.round(share)))
+            : free;
+
+        this.selectedVoices.set(voice, applied);
+        this._rebalance(voice, free - applied);
+        return applied;
+    }
+
+    toggleLock(voice) {
+        if (!this.selectedVoices.has(voice)) return false;
+        if (this.lockedVoices.has(voice)) {
+            this.lockedVoices.delete(voice);
+        } else {
+            this.lockedVoices.add(voice);
         }
-        return false;
+        return this.lockedVoices.has(voice);
+    }
+
+    /**
+     * Split the share not held by locked voices evenly between the unlocked ones
+     */
+    balance() {
+        const unlocked = this._getUnlockedVoices();
+        distributeShares(this._getFreeShare(), unlocked.map(() => 1))
+            .forEach((share, i) => this.selectedVoices.set(unlocked[i], share));
     }
 
     removeVoice(voice) {
-        return this.selectedVoices.delete(voice);
+        const share = this.selectedVoices.get(voice) || 0;
+        const removed = this.selectedVoices.delete(voice);
+        this.lockedVoices.delete(voice);
+        if (removed && this.selectedVoices.size > 0) {
+            let recipients = this._getUnlockedVoices();
+            if (recipients.length === 0) {
+                // Everything left is locked, shares still have to add up
+                recipients = this.getSelectedVoices();
+            }
+            const basis = recipients.map(v => this.selectedVoices.get(v));
+            distributeShares(share + basis.reduce((sum, value) => sum + value, 0), basis)
+                .forEach((value, i) => this.selectedVoices.set(recipients[i], value));
+        }
+        return removed;
     }
 
     clearSelectedVoices() {
         this.selectedVoices.clear();
+        this.lockedVoices.clear();
     }
 
-    filterVoices(searchTerm) {
-        if (!searchTerm) {
-            return this.availableVoices;
+    /**
+     * Replace the current mix, scaling the weights given to shares of 100
+     * @param {Array<{voice: string, weight: number, locked?: boolean}>} voices - Voices and mix weights
+     * @returns {string[]} Voices that are no longer available and were skipped
+     */
+    setSelectedVoices(voices) {
+        this.clearSelectedVoices();
+
+        // A voice listed twice gets the sum of its weights, or the shares would not reach 100
+        const merged = new Map();
+        const missing = [];
+        voices.forEach(({ voice, weight, locked }) => {
+            if (!this.availableVoices.includes(voice)) {
+                missing.push(voice);
+                return;
+            }
+            const entry = merged.get(voice) || { weight: 0, locked: false };
+            entry.weight += Math.max(0, parseFloat(weight) || 0);
+            entry.locked = entry.locked || !!locked;
+            merged.set(voice, entry);
+        });
+
+        const available = Array.from(merged.keys());
+        distributeShares(100, available.map(voice => merged.get(voice).weight))
+            .forEach((share, i) => this.selectedVoices.set(available[i], share));
+        available
+            .filter(voice => merged.get(voice).locked)
+            .forEach(voice => this.lockedVoices.add(voice));
+        return missing;
+    }
+
+    /**
+     * Parse a voice string such as "af_bella(2)+af_sky(1)" into voices and weights
+     * @param {string} value
+     * @returns {Array<{voice: string, weight: number}>}
+     * @throws {Error} If the string is malformed or names an unknown voice
+     */
+    parseVoiceString(value) {
+        const text = (value || '').trim();
+        if (!text) {
+            throw new Error('Enter at least one voice');
+        }
+        // The server treats "-" as subtraction, which shares of 100 can't express
+        if (text.includes('-')) {
+            throw new Error('Subtracting voices is not supported by the mixer');
+        }
+
+        return text.split('+').map(part => {
+            const match = /^\s*([^()\s]+)\s*(?:\(\s*(\d*\.?\d+)\s*\))?\s*$/.exec(part);
+            if (!match) {
+                throw new Error(`Could not read "${part.trim()}"`);
+            }
+            if (!this.availableVoices.includes(match[1])) {
+                throw new Error(`Unknown voice "${match[1]}"`);
+            }
+            return { voice: match[1], weight: match[2] !== undefined ? parseFloat(match[2]) : 1 };
+        });
+    }
+
+    _getUnlockedVoices(except = null) {
+        return this.getSelectedVoices().filter(v => v !== except && !this.lockedVoices.has(v));
+    }
+
+    // Share not held by locked voices (other than the one being changed)
+    _getFreeShare(except = null) {
+        let locked = 0;
+        this.selectedVoices.forEach((share, voice) => {
+            if (voice !== except && this.lockedVoices.has(voice)) locked += share;
+        });
+        return Math.max(0, 100 - locked);
+    }
+
+    // Give `total` to the unlocked voices other than `except`, keeping their proportions
+    _rebalance(except, total) {
+        const others = this._getUnlockedVoices(except);
+        if (others.length === 0) return;
+        distributeShares(total, others.map(v => this.selectedVoices.get(v)))
+            .forEach((share, i) => this.selectedVoices.set(others[i], share));
+    }
+
+    /**
+     * Parse a voice ID like "bf_v0emma" into catalog metadata
+     * @param {string} id - Voice ID
+     * @returns {{id: string, name: string, langCode: string|null, languageName: string, language: string,
+     *            accent: string|null, gender: string|null, legacy: boolean}}
+     */
+    parseVoice(id) {
+        const match = /^([a-z])([fm])_(v0)?(.*)$/i.exec(id);
+        if (!match) {
+            // Custom or combined voices saved on the server don't follow the naming scheme
+            return {
+                id, name: id, langCode: null, languageName: 'Other', language: 'Other',
+                accent: null, gender: null, legacy: false
+            };
         }
-        
-        const term = searchTerm.toLowerCase();
-        return this.availableVoices.filter(voice => 
-            voice.toLowerCase().includes(term)
-        );
+
+        const [, prefix, gender, legacy, rest] = match;
+        const langCode = prefix.toLowerCase();
+        const info = VOICE_LANGUAGES[langCode] || { language: 'Other', accent: null };
+        const name = rest
+            ? rest.split(/[_-]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ')
+            : 'Default';
+
+        return {
+            id,
+            name,
+            langCode: LANGUAGES[langCode] ? langCode : null,
+            languageName: LANGUAGES[langCode] || 'Other',
+            language: info.language,
+            accent: info.accent,
+            gender: GENDERS[gender.toLowerCase()] || null,
+            legacy: !!legacy
+        };
+    }
+
+    /**
+     * Search and filter the parsed voice catalog
+     * @param {string} [searchTerm] - Matched against ID, name, language, accent and gender
+     * @param {Object} [facets]
+     * @param {string} [facets.langCode] - Only voices for this language code
+     * @param {string} [facets.gender] - 'female' or 'male'
+     * @param {boolean} [facets.includeLegacy=true] - Include v0 voices
+     * @returns {Object[]} Catalog entries, see parseVoice
+     */
+    getVoiceCatalog(searchTerm = '', { langCode = '', gender = '', includeLegacy = true } = {}) {
+        const terms = searchTerm.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.availableVoices
+            .map(voice => this.parseVoice(voice))
+            .filter(entry => {
+                if (langCode && entry.langCode !== langCode) return false;
+                if (gender && entry.gender !== gender) return false;
+                if (!includeLegacy && entry.legacy) return false;
+
+                // Every word has to match something, so "british male" narrows like the facets do
+                const haystack = [entry.id, entry.name, entry.languageName, entry.language, entry.accent, entry.gender]
+                    .filter(Boolean)
+                    .join(' ')
+                    .toLowerCase();
+                return terms.every(term => term === 'male'
+                    ? entry.gender === 'male'
+                    : haystack.includes(term));
+            });
+    }
+
+    filterVoices(searchTerm, facets = {}) {
+        return this.getVoiceCatalog(searchTerm, facets).map(entry => entry.id);
     }
 
     hasSelectedVoices() {
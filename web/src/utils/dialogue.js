@@ -0,0 +1,33 @@
+// "Name: line" at the start of a line; names are short and can't contain sentence punctuation
+const SPEAKER_PREFIX = /^\s*([^:.!?\n\[\]()]{1,40}?)\s*:\s*(.*)$/;
+
+/**
+ * Parse a dialogue script made of "Name: line" turns
+ * Lines without a prefix continue the previous speaker's turn
+ * @param {string} text - Script text
+ * @returns {{speakers: string[], turns: Array<{speaker: string, text: string}>}}
+ *          Speakers in order of first appearance and the turns in script order
+ */
+export function parseDialogue(text) {
+    const speakers = [];
+    const turns = [];
+
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+
+        const match = line.match(SPEAKER_PREFIX);
+        if (match) {
+            const speaker = match[1].trim();
+            if (!speakers.includes(speaker)) {
+                speakers.push(speaker);
+            }
+            turns.push({ speaker, text: match[2].trim() });
+        } else if (turns.length > 0) {
+            const last = turns[turns.length - 1];
+            last.text = `${last.text} ${line.trim()}`.trim();
+        }
+        // Text before the first speaker has nobody to read it and is skipped
+    }
+
+    return { speakers, turns: turns.filter(turn => turn.text) };
+}
@@ -0,0 +1,118 @@
+/**
+ * Write ID3v2.3 tags, the version podcast apps and car stereos read most reliably,
+ * including chapter frames from the ID3v2 Chapter Frame Addendum (CHAP/CTOC)
+ */
+
+const encoder = new TextEncoder();
+
+function latin1(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF);
+}
+
+// UTF-16 with a byte order mark, the only Unicode encoding ID3v2.3 allows
+function utf16(text, terminate = false) {
+    const bytes = new Uint8Array(2 + text.length * 2 + (terminate ? 2 : 0));
+    bytes[0] = 0xFF;
+    bytes[1] = 0xFE;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[2 + i * 2] = code & 0xFF;
+        bytes[3 + i * 2] = code >> 8;
+    }
+    return bytes;
+}
+
+function concat(parts) {
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+function uint32(value) {
+    return Uint8Array.of(value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+}
+
+function frame(id, ...body) {
+    const data = concat(body);
+    return concat([encoder.encode(id), uint32(data.length), Uint8Array.of(0, 0), data]);
+}
+
+const UTF16 = Uint8Array.of(1);
+const NUL = Uint8Array.of(0);
+
+function textFrame(id, text) {
+    return frame(id, UTF16, utf16(text));
+}
+
+// COMM and USLT share a layout: encoding, language, description, text
+function languageFrame(id, description, text) {
+    return frame(id, UTF16, latin1('eng'), utf16(description, true), utf16(text));
+}
+
+/**
+ * Build an ID3v2.3 tag to put in front of MP3 audio
+ * @param {Object} tags
+ * @param {string} [tags.title]
+ * @param {string} [tags.artist]
+ * @param {string} [tags.album]
+ * @param {string} [tags.genre]
+ * @param {string} [tags.comment]
+ * @param {string} [tags.text] - Full source text, stored as unsynchronised lyrics
+ * @param {Object<string, string>} [tags.custom] - TXXX frames by description
+ * @param {{mime: string, data: Uint8Array}} [tags.cover] - Front cover image
+ * @param {Array<{title: string, start: number, end: number}>} [tags.chapters] - Times in seconds
+ * @returns {Uint8Array}
+ */
+export function buildId3Tag({ title, artist, album, genre, comment, text, custom = {}, cover, chapters = [] }) {
+    const frames = [];
+    if (title) frames.push(textFrame('TIT2', title));
+    if (artist) frames.push(textFrame('TPE1', artist));
+    if (album) frames.push(textFrame('TALB', album));
+    if (genre) frames.push(textFrame('TCON', genre));
+    if (comment) frames.push(languageFrame('COMM', '', comment));
+    if (text) frames.push(languageFrame('USLT', '', text));
+    Object.entries(custom)
+        .filter(([, value]) => value)
+        .forEach(([description, value]) => {
+            frames.push(frame('TXXX', UTF16, utf16(description, true), utf16(value)));
+        });
+    if (cover) {
+        // Picture type 3 is the front cover
+        frames.push(frame('APIC', NUL, latin1(cover.mime), NUL, Uint8Array.of(3), NUL, cover.data));
+    }
+
+    if (chapters.length > 0) {
+        if (chapters.length > 255) {
+            throw new Error('ID3 chapter lists hold at most 255 chapters');
+        }
+        const ids = chapters.map((chapter, i) => `ch${i}`);
+        chapters.forEach((chapter, i) => {
+            frames.push(frame('CHAP',
+                latin1(ids[i]), NUL,
+                uint32(Math.round(chapter.start * 1000)),
+                uint32(Math.round(chapter.end * 1000)),
+                uint32(0xFFFFFFFF), uint32(0xFFFFFFFF), // No byte offsets, players use the times
+                textFrame('TIT2', chapter.title)
+            ));
+        });
+        // Top-level (0x02) and ordered (0x01) table of contents
+        frames.push(frame('CTOC',
+            latin1('toc'), NUL, Uint8Array.of(0x03, ids.length),
+            ...ids.map(id => concat([latin1(id), NUL])),
+            ...(title ? [textFrame('TIT2', title)] : [])
+        ));
+    }
+
+    const body = concat(frames);
+    const size = body.length;
+    // The tag size is stored as a syncsafe integer, 7 bits per byte
+    const header = Uint8Array.of(
+        0x49, 0x44, 0x33, 3, 0, 0,
+        (size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F
+    );
+    return concat([header, body]);
+}
@@ -0,0 +1,577 @@
+/**
+ * Turn documents into speakable text. Every importer produces blocks
+ * ({type: 'heading'|'paragraph'|'code', text}) that blocksToSections lays out.
+ */
+
+export const IMPORT_FORMATS = {
+    txt: 'Plain text',
+    md: 'Markdown',
+    markdown: 'Markdown',
+    html: 'HTML',
+    htm: 'HTML',
+    docx: 'Word document',
+    epub: 'EPUB book',
+    srt: 'Subtitles',
+    vtt: 'Subtitles'
+};
+
+export const DEFAULT_IMPORT_OPTIONS = {
+    headingPages: true,  // Start a new page at each heading
+    skipCode: true,      // Leave out code blocks
+    skipLinks: false     // Leave out links entirely instead of keeping their text
+};
+
+// Subtitle cues further apart than this start a new paragraph
+const SUBTITLE_PARAGRAPH_GAP = 2;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()]+[^\s<>().,;:!?'"]/gi;
+
+/**
+ * Strip the characters that word processors and web pages hide in copied text
+ * @param {string} text
+ * @returns {string}
+ */
+export function cleanText(text) {
+    return text
+        .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, '')  // Zero-width characters and soft hyphens
+        .replace(/[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, ' ')  // Non-breaking and typographic spaces
+        .replace(/[\u2018\u2019\u201B\u2032]/g, "'")
+        .replace(/[\u201C\u201D\u201F\u2033]/g, '"')
+        .replace(/[\u2022\u25AA\u25CF\u25E6\u2043]/g, '')  // Bullets
+        .replace(/\p{Extended_Pictographic}[\u{1F3FB}-\u{1F3FF}\uFE0F]*/gu, '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+}
+
+/**
+ * Lay blocks out as editor sections, one per heading when headingPages is on
+ * @param {Object[]} blocks
+ * @param {Object} options - See DEFAULT_IMPORT_OPTIONS
+ * @returns {Array<{title: string|null, text: string}>} Sections, never empty;
+ *          a section's title is the heading that starts it
+ */
+export function blocksToSections(blocks, options = DEFAULT_IMPORT_OPTIONS) {
+    const sections = [];
+    let current = [];
+    let title = null;
+
+    for (const block of blocks) {
+        if (block.type === 'code' && options.skipCode) continue;
+        let text = cleanText(block.text).replace(/\s*\n\s*/g, ' ');
+        if (options.skipLinks) {
+            text = text.replace(URL_PATTERN, '').replace(/ {2,}/g, ' ').trim();
+        }
+        if (!text) continue;
+
+        if (block.type === 'heading') {
+            if (options.headingPages) {
+                if (current.length > 0) {
+                    sections.push({ title, text: current.join('\n\n') });
+                    current = [];
+                }
+                title = text;
+            }
+            // Headings rarely end in punctuation, without it they run into the next sentence
+            if (!/[.!?…:;]$/.test(text)) text += '.';
+        }
+        current.push(text);
+    }
+    if (current.length > 0) {
+        sections.push({ title, text: current.join('\n\n') });
+    }
+    return sections.length > 0 ? sections : [{ title: null, text: '' }];
+}
+
+/**
+ * @param {string} text
+ * @returns {Object[]} Paragraphs split on blank lines
+ */
+export function parsePlainText(text) {
+    return text
+        .split(/\n\s*\n/)
+        .map(paragraph => ({ type: 'paragraph', text: paragraph }));
+}
+
+function markdownInline(text, options) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '')                     // Images
+        .replace(/\[\^[^\]]+\]/g, '')                               // Footnote references
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, options.skipLinks ? '' : '$1')
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, options.skipLinks ? '' : '$1')
+        .replace(/<((?:https?:\/\/|mailto:)[^>]+)>/g, options.skipLinks ? '' : '$1')
+        .replace(/<\/?[a-z][^>]*>/gi, '')                           // Inline HTML
+        .replace(/`+([^`]+)`+/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(.+?)\1/g, '$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1');
+}
+
+/**
+ * @param {string} text - Markdown source
+ * @param {Object} options - See DEFAULT_IMPORT_OPTIONS
+ * @returns {Object[]}
+ */
+export function parseMarkdown(text, options = DEFAULT_IMPORT_OPTIONS) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let fence = null;
+    let code = [];
+
+    const flush = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', text: markdownInline(paragraph.join(' '), options) });
+            paragraph = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (fence) {
+            if (line.trim().startsWith(fence)) {
+                blocks.push({ type: 'code', text: code.join('\n') });
+                fence = null;
+                code = [];
+            } else {
+                code.push(line);
+            }
+            continue;
+        }
+
+        const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+        if (fenceMatch) {
+            flush();
+            fence = fenceMatch[1];
+            continue;
+        }
+
+        // Indented code only starts after a blank line, so wrapped list items aren't mistaken for it
+        if (/^( {4}|\t)/.test(line) && paragraph.length === 0) {
+            const previous = blocks[blocks.length - 1];
+            if (previous?.type === 'code' && previous.indented) {
+                previous.text += '\n' + line;
+            } else {
+                blocks.push({ type: 'code', text: line, indented: true });
+            }
+            continue;
+        }
+
+        if (!line.trim()) {
+            flush();
+            continue;
+        }
+
+        const heading = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+        if (heading) {
+            flush();
+            blocks.push({ type: 'heading', text: markdownInline(heading[2], options) });
+            continue;
+        }
+
+        // Setext headings underline the previous line
+        if (/^\s{0,3}(=+|-+)\s*$/.test(line) && paragraph.length > 0) {
+            const title = paragraph.join(' ');
+            paragraph = [];
+            blocks.push({ type: 'heading', text: markdownInline(title, options) });
+            continue;
+        }
+
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush(); // Horizontal rule
+            continue;
+        }
+
+        // Table rows become comma-separated cells, the delimiter row is dropped
+        if (/^\s*\|.*\|\s*$/.test(line)) {
+            flush();
+            if (!/^[\s|:-]+$/.test(line)) {
+                const cells = line.trim().slice(1, -1).split('|').map(cell => cell.trim()).filter(Boolean);
+                blocks.push({ type: 'paragraph', text: markdownInline(cells.join(', '), options) });
+            }
+            continue;
+        }
+
+        const item = /^\s*(?:>\s*)*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/.exec(line);
+        if (item) {
+            flush();
+            paragraph.push(item[1]);
+            continue;
+        }
+
+        paragraph.push(line.replace(/^\s*(?:>\s?)+/, '').trim());
+    }
+
+    flush();
+    if (fence && code.length > 0) {
+        blocks.push({ type: 'code', text: code.join('\n') });
+    }
+    return blocks;
+}
+
+const HTML_BLOCKS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'FOOTER',
+    'FORM', 'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'SECTION', 'TABLE', 'TR', 'UL'
+]);
+const HTML_SKIPPED = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT', 'HEAD', 'NAV', 'BUTTON', 'SELECT']);
+
+/**
+ * @param {string} html
+ * @param {Object} options - See DEFAULT_IMPORT_OPTIONS
+ * @returns {Object[]}
+ */
+export function parseHtml(html, options = DEFAULT_IMPORT_OPTIONS) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+        if (inline.trim()) {
+            blocks.push({ type: 'paragraph', text: inline });
+        }
+        inline = '';
+    };
+
+    const walk = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            inline += node.textContent.replace(/\s+/g, ' ');
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || HTML_SKIPPED.has(node.tagName)) return;
+
+        const tag = node.tagName;
+        if (/^H[1-6]$/.test(tag)) {
+            flush();
+            blocks.push({ type: 'heading', text: node.textContent });
+        } else if (tag === 'PRE') {
+            flush();
+            blocks.push({ type: 'code', text: node.textContent });
+        } else if (tag === 'A' && options.skipLinks) {
+            // Link text goes too
+        } else if (tag === 'IMG') {
+            // Images have nothing to say
+        } else if (tag === 'BR') {
+            inline += ' ';
+        } else if (tag === 'TD' || tag === 'TH') {
+            node.childNodes.forEach(walk);
+            inline += ', ';
+        } else if (HTML_BLOCKS.has(tag)) {
+            flush();
+            node.childNodes.forEach(walk);
+            inline = inline.replace(/,\s*$/, ''); // Trailing separator from the last table cell
+            flush();
+        } else {
+            node.childNodes.forEach(walk);
+        }
+    };
+
+    walk(doc.body);
+    flush();
+    return blocks;
+}
+
+/**
+ * @param {string} text - SRT or WebVTT source
+ * @returns {Object[]} Cue text joined into paragraphs, broken where speech pauses
+ */
+export function parseSubtitles(text) {
+    const blocks = [];
+    let paragraph = [];
+    let lastEnd = null;
+
+    const seconds = (timestamp) => {
+        const [h, m, s] = timestamp.replace(',', '.').split(':').map(parseFloat);
+        return s === undefined ? h * 60 + m : h * 3600 + m * 60 + s;
+    };
+
+    for (const cue of text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+        const lines = cue.split('\n').map(line => line.trim()).filter(Boolean);
+        const timing = lines.findIndex(line => line.includes('-->'));
+        if (timing < 0) continue; // Header, NOTE or STYLE blocks
+
+        const [start, end] = lines[timing].split('-->').map(part => seconds(part.trim().split(/\s+/)[0]));
+        const cueText = lines.slice(timing + 1)
+            .join(' ')
+            .replace(/<[^>]+>/g, '')        // <i>, <v Speaker>, timestamps
+            .replace(/\{\\[^}]*\}/g, '')     // SSA positioning like {\an8}
+            .replace(/^-\s*/, '')
+            .trim();
+        if (!cueText) continue;
+
+        if (lastEnd !== null && start - lastEnd > SUBTITLE_PARAGRAPH_GAP && paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            paragraph = [];
+        }
+        // Roll-up captions repeat the previous line
+        if (paragraph[paragraph.length - 1] !== cueText) {
+            paragraph.push(cueText);
+        }
+        lastEnd = end;
+    }
+
+    if (paragraph.length > 0) {
+        blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    }
+    return blocks;
+}
+
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read one file out of a zip archive
+ * @param {ArrayBuffer} buffer
+ * @param {string} path
+ * @returns {Promise<Uint8Array|null>}
+ */
+export async function readZipEntry(buffer, path) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record sits at the end, after an optional comment
+    let eocd = buffer.byteLength - 22;
+    while (eocd >= 0 && view.getUint32(eocd, true) !== 0x06054b50) eocd--;
+    if (eocd < 0) {
+        throw new Error('Not a zip archive');
+    }
+
+    let offset = view.getUint32(eocd + 16, true);
+    const count = view.getUint16(eocd + 10, true);
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+        const method = view.getUint16(offset + 10, true);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const entryLength = 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        if (name === path) {
+            const local = view.getUint32(offset + 42, true);
+            const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            const data = new Uint8Array(buffer, start, size);
+            if (method === 0) return data;
+            if (method === 8) return inflate(data);
+            throw new Error('Unsupported zip compression');
+        }
+        offset += entryLength;
+    }
+    return null;
+}
+
+function isInHyperlink(node, paragraph) {
+    for (let parent = node.parentNode; parent && parent !== paragraph; parent = parent.parentNode) {
+        if (parent.localName === 'hyperlink') return true;
+    }
+    return false;
+}
+
+// Text boxes are anchored inside a paragraph, often twice: as mc:Choice and again as mc:Fallback
+function isInTextBox(node, paragraph) {
+    for (let parent = node.parentNode; parent && parent !== paragraph; parent = parent.parentNode) {
+        if (parent.localName === 'txbxContent' || parent.localName === 'Fallback') return true;
+    }
+    return false;
+}
+
+function isNestedParagraph(paragraph, W) {
+    for (let parent = paragraph.parentNode; parent; parent = parent.parentNode) {
+        if (parent.localName === 'p' && parent.namespaceURI === W) return true;
+    }
+    return false;
+}
+
+/**
+ * @param {ArrayBuffer} buffer - .docx file
+ * @param {Object} options - See DEFAULT_IMPORT_OPTIONS
+ * @returns {Promise<Object[]>}
+ */
+export async function parseDocx(buffer, options = DEFAULT_IMPORT_OPTIONS) {
+    const xml = await readZipEntry(buffer, 'word/document.xml');
+    if (!xml) {
+        throw new Error('Not a Word document');
+    }
+
+    const doc = new DOMParser().parseFromString(new TextDecoder().decode(xml), 'application/xml');
+    const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+    const blocks = [];
+
+    for (const paragraph of doc.getElementsByTagNameNS(W, 'p')) {
+        if (isNestedParagraph(paragraph, W)) continue;
+        const style = [...paragraph.getElementsByTagNameNS(W, 'pStyle')]
+            .find(node => !isInTextBox(node, paragraph))?.getAttributeNS(W, 'val') || '';
+        let text = '';
+        for (const node of paragraph.getElementsByTagNameNS(W, '*')) {
+            if (options.skipLinks && isInHyperlink(node, paragraph)) continue;
+            if (isInTextBox(node, paragraph)) continue;
+            if (node.localName === 't') text += node.textContent;
+            else if (node.localName === 'tab' || node.localName === 'br') text += ' ';
+        }
+
+        let type = 'paragraph';
+        if (/^(heading|title)/i.test(style)) type = 'heading';
+        else if (/code|preformatted|source/i.test(style)) type = 'code';
+        blocks.push({ type, text });
+    }
+    return blocks;
+}
+
+function resolvePath(base, href) {
+    const parts = base.split('/').slice(0, -1);
+    for (const part of decodeURIComponent(href.split('#')[0]).split('/')) {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+async function readZipText(buffer, path) {
+    const bytes = await readZipEntry(buffer, path);
+    if (!bytes) {
+        throw new Error(`The book is missing ${path}`);
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Table of contents entries in reading order, from the EPUB 3 nav document or the EPUB 2 NCX
+ * @returns {Promise<Array<{title: string, path: string}>>}
+ */
+async function readEpubToc(buffer, opf, opfPath) {
+    const items = [...opf.getElementsByTagName('item')];
+    const nav = items.find(item => (item.getAttribute('properties') || '').split(/\s+/).includes('nav'));
+    if (nav) {
+        const navPath = resolvePath(opfPath, nav.getAttribute('href'));
+        const doc = new DOMParser().parseFromString(await readZipText(buffer, navPath), 'application/xhtml+xml');
+        const tocNav = [...doc.getElementsByTagName('nav')]
+            .find(element => element.getAttribute('epub:type') === 'toc') || doc.getElementsByTagName('nav')[0];
+        if (tocNav) {
+            return [...tocNav.getElementsByTagName('a')]
+                .filter(link => link.getAttribute('href'))
+                .map(link => ({
+                    title: link.textContent.replace(/\s+/g, ' ').trim(),
+                    path: resolvePath(navPath, link.getAttribute('href'))
+                }));
+        }
+    }
+
+    const ncxId = opf.getElementsByTagName('spine')[0]?.getAttribute('toc');
+    const ncx = items.find(item => item.getAttribute('id') === ncxId) ||
+        items.find(item => item.getAttribute('media-type') === 'application/x-dtbncx+xml');
+    if (!ncx) return [];
+
+    const ncxPath = resolvePath(opfPath, ncx.getAttribute('href'));
+    const doc = new DOMParser().parseFromString(await readZipText(buffer, ncxPath), 'application/xml');
+    return [...doc.getElementsByTagName('navPoint')].map(point => ({
+        title: point.getElementsByTagName('text')[0]?.textContent.replace(/\s+/g, ' ').trim() || '',
+        path: resolvePath(ncxPath, point.getElementsByTagName('content')[0]?.getAttribute('src') || '')
+    }));
+}
+
+/**
+ * Read an EPUB as one section per chapter. Chapters follow the table of contents;
+ * spine documents it doesn't list are read as part of the chapter before them.
+ * @param {ArrayBuffer} buffer - .epub file
+ * @param {Object} options - See DEFAULT_IMPORT_OPTIONS, headingPages is ignored
+ * @returns {Promise<{title: string, author: string, sections: Array<{title: string, text: string}>}>}
+ */
+export async function parseEpub(buffer, options = DEFAULT_IMPORT_OPTIONS) {
+    const container = new DOMParser().parseFromString(await readZipText(buffer, 'META-INF/container.xml'), 'application/xml');
+    const opfPath = container.getElementsByTagName('rootfile')[0]?.getAttribute('full-path');
+    if (!opfPath) {
+        throw new Error('Not an EPUB book');
+    }
+    const opf = new DOMParser().parseFromString(await readZipText(buffer, opfPath), 'application/xml');
+
+    const manifest = new Map([...opf.getElementsByTagName('item')]
+        .map(item => [item.getAttribute('id'), resolvePath(opfPath, item.getAttribute('href'))]));
+    const spine = [...opf.getElementsByTagName('itemref')]
+        .filter(ref => ref.getAttribute('linear') !== 'no')
+        .map(ref => manifest.get(ref.getAttribute('idref')))
+        .filter(Boolean);
+
+    // First TOC entry for each document; deeper entries inside a document stay part of its chapter
+    const titles = new Map();
+    (await readEpubToc(buffer, opf, opfPath)).forEach(({ title, path }) => {
+        if (title && !titles.has(path)) titles.set(path, title);
+    });
+
+    const chapterOptions = { ...options, headingPages: false };
+    const sections = [];
+    for (const path of spine) {
+        const html = await readZipText(buffer, path);
+        const text = blocksToSections(parseHtml(html, chapterOptions), chapterOptions)[0].text;
+        const title = titles.get(path);
+
+        if (title || sections.length === 0) {
+            sections.push({ title: title || 'Front matter', text });
+        } else if (text) {
+            const previous = sections[sections.length - 1];
+            previous.text = [previous.text, text].filter(Boolean).join('\n\n');
+        }
+    }
+
+    const metadata = (name) => opf.getElementsByTagName(`dc:${name}`)[0]?.textContent.trim() || '';
+    return {
+        title: metadata('title'),
+        author: metadata('creator'),
+        sections: sections.filter(section => section.text)
+    };
+}
+
+/**
+ * Work out the importer for a file from its extension
+ * @param {File} file
+ * @returns {string|null} Key of IMPORT_FORMATS
+ */
+export function getImportFormat(file) {
+    const extension = (/\.([^.]+)$/.exec(file.name)?.[1] || '').toLowerCase();
+    if (extension in IMPORT_FORMATS) return extension;
+    return file.type.startsWith('text/') ? 'txt' : null;
+}
+
+/**
+ * Import a file as editor sections
+ * @param {File} file
+ * @param {Object} options - See DEFAULT_IMPORT_OPTIONS
+ * @returns {Promise<{sections: Array<{title: string|null, text: string}>, metadata: {title?: string, author?: string}}>}
+ *          metadata is only filled in for formats that carry it, such as EPUB
+ */
+export async function importFile(file, options = DEFAULT_IMPORT_OPTIONS) {
+    const format = getImportFormat(file);
+    let blocks;
+    switch (format) {
+        case 'epub': {
+            const { title, author, sections } = await parseEpub(await file.arrayBuffer(), options);
+            if (sections.length === 0) {
+                throw new Error('The book has no readable text');
+            }
+            return { sections, metadata: { title, author } };
+        }
+        case 'docx':
+            blocks = await parseDocx(await file.arrayBuffer(), options);
+            break;
+        case 'md':
+        case 'markdown':
+            blocks = parseMarkdown(await file.text(), options);
+            break;
+        case 'html':
+        case 'htm':
+            blocks = parseHtml(await file.text(), options);
+            break;
+        case 'srt':
+        case 'vtt':
+            blocks = parseSubtitles(await file.text());
+            break;
+        case 'txt':
+            blocks = parsePlainText(await file.text());
+            break;
+        default:
+            throw new Error(`Can't import ${file.name} — use .txt, .md, .html, .docx, .epub or .srt`);
+    }
+    return { sections: blocksToSections(blocks, options), metadata: {} };
+}
@@ -0,0 +1,39 @@
+/**
+ * Kokoro language codes, keyed by the first letter of a voice ID
+ */
+export const LANGUAGES = {
+    a: 'American English',
+    b: 'British English',
+    e: 'Spanish',
+    f: 'French',
+    h: 'Hindi',
+    i: 'Italian',
+    j: 'Japanese',
+    p: 'Brazilian Portuguese',
+    z: 'Mandarin Chinese'
+};
+
+/**
+ * Language and accent behind each voice prefix, for grouping the voice catalog
+ */
+export const VOICE_LANGUAGES = {
+    a: { language: 'English', accent: 'American' },
+    b: { language: 'English', accent: 'British' },
+    e: { language: 'Spanish', accent: null },
+    f: { language: 'French', accent: null },
+    h: { language: 'Hindi', accent: null },
+    i: { language: 'Italian', accent: null },
+    j: { language: 'Japanese', accent: null },
+    p: { language: 'Portuguese', accent: 'Brazilian' },
+    z: { language: 'Chinese', accent: 'Mandarin' }
+};
+
+/**
+ * Get the language code implied by a voice ID prefix
+ * @param {string} voice - Voice ID such as "bf_emma"
+ * @returns {string|null} Language code, or null if the prefix is unknown
+ */
+export function getVoiceLanguage(voice) {
+    const code = (voice || '').charAt(0).toLowerCase();
+    return LANGUAGES[code] ? code : null;
+}
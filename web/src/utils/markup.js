@@ -0,0 +1,176 @@
+/**
+ * Lightweight script markup:
+ *   [pause 800ms] or [pause 1.5s]     insert silence
+ *   [speed 0.8]...[/speed]            read the enclosed text at another speed
+ *   [voice bf_emma]...[/voice]        read the enclosed text with another voice
+ * Tags nest, and anything else in square brackets is left as text.
+ */
+
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 4.0;
+export const MAX_PAUSE = 10; // seconds
+
+const TAG_PATTERN = /\[(\/?)(pause|speed|voice)(?:\s+([^[\]]*?))?\s*\]/gi;
+
+/**
+ * Check whether text contains any markup tags
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasMarkup(text) {
+    return new RegExp(TAG_PATTERN.source, 'i').test(text);
+}
+
+function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s)$/i.exec(value || '');
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    return match[2].toLowerCase() === 'ms' ? amount / 1000 : amount;
+}
+
+function isKnownVoice(value, voices) {
+    // Accept blends like "af_bella(2)+af_sky(1)" as long as every part is a known voice
+    return value.split('+').every(part => voices.includes(part.trim().replace(/\(\d*\.?\d+\)$/, '')));
+}
+
+/**
+ * Split text into plain text and markup tags, checking each tag
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.voices] - Known voice IDs, voice tags are not checked when omitted
+ * @returns {{tokens: Object[], errors: {start: number, end: number, message: string}[]}}
+ */
+export function parseMarkup(text, { voices = null } = {}) {
+    const tokens = [];
+    const errors = [];
+    const open = []; // Stack of unclosed speed/voice tags
+    const pattern = new RegExp(TAG_PATTERN.source, 'gi');
+    let last = 0;
+    let match;
+
+    const fail = (token, message) => {
+        token.error = message;
+        errors.push({ start: token.start, end: token.end, message });
+    };
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > last) {
+            tokens.push({ type: 'text', text: text.slice(last, match.index), start: last, end: match.index });
+        }
+        last = pattern.lastIndex;
+
+        const token = {
+            type: 'tag',
+            name: match[2].toLowerCase(),
+            closing: match[1] === '/',
+            value: (match[3] || '').trim(),
+            start: match.index,
+            end: pattern.lastIndex
+        };
+        tokens.push(token);
+
+        if (token.closing) {
+            if (token.name === 'pause') {
+                fail(token, '[pause] does not take a closing tag');
+            } else if (open.length === 0 || open[open.length - 1].name !== token.name) {
+                fail(token, `[/${token.name}] has no matching [${token.name}]`);
+            } else {
+                open.pop();
+            }
+            continue;
+        }
+
+        switch (token.name) {
+            case 'pause': {
+                const seconds = parseDuration(token.value);
+                if (seconds === null) {
+                    fail(token, 'Pause needs a duration like 800ms or 1.5s');
+                } else if (seconds > MAX_PAUSE) {
+                    fail(token, `Pauses can be at most ${MAX_PAUSE}s`);
+                } else {
+                    token.seconds = seconds;
+                }
+                break;
+            }
+            case 'speed': {
+                const speed = parseFloat(token.value);
+                if (!/^\d*\.?\d+$/.test(token.value) || speed < MIN_SPEED || speed > MAX_SPEED) {
+                    fail(token, `Speed must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+                } else {
+                    token.speed = speed;
+                }
+                open.push(token);
+                break;
+            }
+            case 'voice':
+                if (!token.value) {
+                    fail(token, '[voice] needs a voice name');
+                } else if (voices && !isKnownVoice(token.value, voices)) {
+                    fail(token, `Unknown voice "${token.value}"`);
+                }
+                open.push(token);
+                break;
+        }
+    }
+
+    if (last < text.length) {
+        tokens.push({ type: 'text', text: text.slice(last), start: last, end: text.length });
+    }
+    open.forEach(token => {
+        if (!token.error) fail(token, `[${token.name}] is never closed`);
+    });
+
+    return { tokens, errors };
+}
+
+/**
+ * Compile marked-up text into segments for AudioService.renderSegments
+ * @param {string} text
+ * @param {Object} defaults
+ * @param {string} defaults.voice - Voice used outside [voice] tags
+ * @param {number} defaults.speed - Speed used outside [speed] tags
+ * @param {string[]} [defaults.voices] - Known voice IDs for validation
+ * @returns {{segments: Array<{text: string, voice: string, speed: number}|{silence: number}>, errors: Object[]}}
+ */
+export function compileMarkup(text, { voice, speed, voices = null }) {
+    const { tokens, errors } = parseMarkup(text, { voices });
+    const segments = [];
+    const voiceStack = [voice];
+    const speedStack = [speed];
+    const top = (stack) => stack[stack.length - 1];
+
+    for (const token of tokens) {
+        if (token.type === 'text') {
+            const previous = segments[segments.length - 1];
+            const current = { text: token.text, voice: top(voiceStack), speed: top(speedStack) };
+            // Merge with the previous run when nothing audible changed in between
+            if (previous && previous.text !== undefined &&
+                previous.voice === current.voice && previous.speed === current.speed) {
+                previous.text += token.text;
+            } else {
+                segments.push(current);
+            }
+        } else if (token.name === 'pause') {
+            if (token.seconds) segments.push({ silence: token.seconds });
+        } else if (token.name === 'speed') {
+            if (token.closing) {
+                if (speedStack.length > 1) speedStack.pop();
+            } else {
+                speedStack.push(token.speed ?? top(speedStack));
+            }
+        } else if (token.name === 'voice') {
+            if (token.closing) {
+                if (voiceStack.length > 1) voiceStack.pop();
+            } else {
+                voiceStack.push(token.value || top(voiceStack));
+            }
+        }
+    }
+
+    return {
+        segments: segments
+            .map(segment => segment.text !== undefined ? { ...segment, text: segment.text.trim() } : segment)
+            .filter(segment => segment.silence || segment.text),
+        errors
+    };
+}
@@ -0,0 +1,103 @@
+// Layer III bitrates in kbps by bitrate index, MPEG-1 then MPEG-2/2.5
+const BITRATES = [
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+];
+const SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG-1
+    2: [22050, 24000, 16000], // MPEG-2
+    0: [11025, 12000, 8000]   // MPEG-2.5
+};
+
+/**
+ * Parse the Layer III frame header at an offset
+ * @returns {{length: number, samples: number, sampleRate: number, info: boolean}|null}
+ */
+function readFrame(bytes, offset) {
+    if (offset + 4 > bytes.length || bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) {
+        return null;
+    }
+    const version = (bytes[offset + 1] >> 3) & 0x03;
+    const layer = (bytes[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+        return null;
+    }
+
+    const mpeg1 = version === 3;
+    const bitrate = BITRATES[mpeg1 ? 0 : 1][bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[version][rateIndex];
+    const padding = (bytes[offset + 2] >> 1) & 0x01;
+    const mono = (bytes[offset + 3] >> 6) === 3;
+    const length = Math.floor((mpeg1 ? 144 : 72) * bitrate / sampleRate) + padding;
+
+    // Xing/Info and VBRI frames carry stream totals, not audio
+    const tagAt = (position) => String.fromCharCode(...bytes.subarray(position, position + 4));
+    const sideInfo = mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const tag = tagAt(offset + 4 + sideInfo);
+    const info = tag === 'Xing' || tag === 'Info' || tagAt(offset + 36) === 'VBRI';
+
+    return { length, samples: mpeg1 ? 1152 : 576, sampleRate, info };
+}
+
+/**
+ * Byte range of an MP3 file without its ID3v2 header and ID3v1 trailer
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function stripTags(bytes) {
+    let start = 0;
+    let end = bytes.length;
+
+    if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) { // "ID3"
+        const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+        const footer = bytes[5] & 0x10 ? 10 : 0;
+        start = Math.min(end, 10 + size + footer);
+    }
+    if (end - start >= 128 && bytes[end - 128] === 0x54 && bytes[end - 127] === 0x41 && bytes[end - 126] === 0x47) { // "TAG"
+        end -= 128;
+    }
+    return bytes.subarray(start, end);
+}
+
+/**
+ * Audio frames of an MP3 file and their duration. Tags and Xing/Info frames are dropped,
+ * since they describe the file alone and are wrong once files are joined.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxDuration=Infinity] - Seconds to read, frames past it are left out
+ * @returns {{data: Uint8Array[], duration: number}}
+ */
+export function readMp3(buffer, { maxDuration = Infinity } = {}) {
+    const bytes = stripTags(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+    const data = [];
+    let duration = 0;
+    let offset = 0;
+    let runStart = 0;
+
+    while (offset < bytes.length) {
+        const frame = readFrame(bytes, offset);
+        if (!frame) {
+            // Lost sync, skip ahead to the next frame header
+            if (offset > runStart) data.push(bytes.subarray(runStart, offset));
+            offset++;
+            while (offset < bytes.length && !readFrame(bytes, offset)) offset++;
+            runStart = offset;
+            continue;
+        }
+        if (frame.info) {
+            if (offset > runStart) data.push(bytes.subarray(runStart, offset));
+            runStart = offset + frame.length;
+        } else if (duration + frame.samples / frame.sampleRate > maxDuration + 1e-6) {
+            break;
+        } else {
+            duration += frame.samples / frame.sampleRate;
+        }
+        offset += frame.length;
+    }
+    if (runStart < Math.min(offset, bytes.length)) {
+        data.push(bytes.subarray(runStart, Math.min(offset, bytes.length)));
+    }
+    return { data, duration };
+}
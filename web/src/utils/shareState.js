@@ -0,0 +1,68 @@
+// Bumped when the shape of the shared state changes
+const STATE_VERSION = 1;
+
+// Prefixes tell a compressed payload from a plain one
+const DEFLATE_PREFIX = 'z';
+const PLAIN_PREFIX = 'j';
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Serialize session state into a URL-safe string, deflated where the browser supports it
+ * @param {Object} state
+ * @returns {Promise<string>}
+ */
+export async function encodeState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify({ v: STATE_VERSION, ...state }));
+    if (typeof CompressionStream === 'undefined') {
+        return PLAIN_PREFIX + toBase64Url(bytes);
+    }
+    return DEFLATE_PREFIX + toBase64Url(await pipe(bytes, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * Read state written by encodeState
+ * @param {string} value
+ * @returns {Promise<Object>}
+ * @throws {Error} If the value is corrupt or from a newer version
+ */
+export async function decodeState(value) {
+    const prefix = value.charAt(0);
+    let decoded;
+    try {
+        let bytes = fromBase64Url(value.slice(1));
+        if (prefix === DEFLATE_PREFIX) {
+            bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+        } else if (prefix !== PLAIN_PREFIX) {
+            throw new Error('Unknown encoding');
+        }
+        decoded = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('The shared link is damaged');
+    }
+    if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+        throw new Error('The shared link is damaged');
+    }
+
+    const { v, ...state } = decoded;
+    if (v > STATE_VERSION) {
+        throw new Error('The shared link is from a newer version of the studio');
+    }
+    return state;
+}
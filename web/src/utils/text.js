@@ -0,0 +1,101 @@
+/**
+ * Maximum input length accepted by the speech endpoints
+ */
+export const MAX_REQUEST_CHARS = 750;
+
+/**
+ * Split text into sentences, keeping trailing punctuation and closing quotes
+ * @param {string} text
+ * @returns {string[]} Trimmed, non-empty sentences
+ */
+export function splitSentences(text) {
+    // Only break on terminal punctuation followed by whitespace, so "3.5" and "e.g." mid-word stay intact
+    return text
+        .split(/(?<=[.!?…]["'”’)\]]*)\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Character offsets where each sentence starts, using the same boundaries as splitSentences
+ * @param {string} text
+ * @returns {number[]} Offsets in reading order, empty when the text is blank
+ */
+export function getSentenceStarts(text) {
+    const starts = [];
+    const first = text.search(/\S/);
+    if (first < 0) return starts;
+
+    starts.push(first);
+    for (const match of text.matchAll(/(?<=[.!?…]["'”’)\]]*)\s+/g)) {
+        const start = match.index + match[0].length;
+        if (start < text.length && start > starts[starts.length - 1]) starts.push(start);
+    }
+    return starts;
+}
+
+/**
+ * Break a single piece of text that is too long into parts under the limit,
+ * preferring clause punctuation, then word boundaries
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitLongSentence(text, maxChars) {
+    const parts = [];
+    let remaining = text;
+
+    while (remaining.length > maxChars) {
+        const window = remaining.slice(0, maxChars);
+        let cut = Math.max(
+            window.lastIndexOf(', '),
+            window.lastIndexOf('; '),
+            window.lastIndexOf(': '),
+            window.lastIndexOf(' – '),
+            window.lastIndexOf(' — ')
+        );
+        if (cut < maxChars / 3) {
+            cut = window.lastIndexOf(' ');
+        }
+        if (cut <= 0) {
+            cut = maxChars - 1; // No whitespace at all, hard cut
+        }
+        parts.push(remaining.slice(0, cut + 1).trim());
+        remaining = remaining.slice(cut + 1).trim();
+    }
+
+    if (remaining) {
+        parts.push(remaining);
+    }
+    return parts;
+}
+
+/**
+ * Split text at sentence boundaries into chunks that each fit in one request
+ * @param {string} text - Full input text
+ * @param {number} [maxChars=MAX_REQUEST_CHARS] - Maximum characters per chunk
+ * @returns {string[]} Chunks in reading order
+ */
+export function splitIntoChunks(text, maxChars = MAX_REQUEST_CHARS) {
+    const chunks = [];
+    let current = '';
+
+    for (const sentence of splitSentences(text)) {
+        const pieces = sentence.length > maxChars ? splitLongSentence(sentence, maxChars) : [sentence];
+
+        for (const piece of pieces) {
+            const candidate = current ? `${current} ${piece}` : piece;
+            if (candidate.length > maxChars) {
+                chunks.push(current);
+                current = piece;
+            } else {
+                current = candidate;
+            }
+        }
+    }
+
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
@@ -0,0 +1,136 @@
+/**
+ * Parse the fmt and data chunks of a PCM WAV file
+ * @param {ArrayBuffer} buffer - Complete WAV file
+ * @returns {{sampleRate: number, channels: number, bitsPerSample: number, data: Uint8Array}}
+ */
+export function parseWav(buffer) {
+    const view = new DataView(buffer);
+    const tag = (offset) => String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+
+    if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.byteLength) {
+        const id = tag(offset);
+        let size = view.getUint32(offset + 4, true);
+
+        if (id === 'fmt ') {
+            format = {
+                channels: view.getUint16(offset + 10, true),
+                sampleRate: view.getUint32(offset + 12, true),
+                bitsPerSample: view.getUint16(offset + 22, true)
+            };
+        } else if (id === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before fmt chunk');
+            }
+            // Streamed WAVs may carry a placeholder size, trust the file length instead
+            if (size === 0 || size === 0xFFFFFFFF || offset + 8 + size > buffer.byteLength) {
+                size = buffer.byteLength - offset - 8;
+            }
+            return { ...format, data: new Uint8Array(buffer, offset + 8, size) };
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Read the header at the start of a streamed WAV file, whose chunk sizes are placeholders
+ * @param {Uint8Array} bytes - Bytes received so far
+ * @returns {{sampleRate: number, channels: number, bitsPerSample: number, dataOffset: number}|null}
+ *          Format and where sample data starts, or null until the whole header has arrived
+ */
+export function readWavHeader(bytes) {
+    if (bytes.length < 12) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+    if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+        throw new Error('Not a WAV stream');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const id = tag(offset);
+        const size = view.getUint32(offset + 4, true);
+
+        if (id === 'fmt ') {
+            if (offset + 24 > bytes.length) return null;
+            format = {
+                channels: view.getUint16(offset + 10, true),
+                sampleRate: view.getUint32(offset + 12, true),
+                bitsPerSample: view.getUint16(offset + 22, true)
+            };
+        } else if (id === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before fmt chunk');
+            }
+            return { ...format, dataOffset: offset + 8 };
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+    return null;
+}
+
+/**
+ * Build a PCM WAV file from raw sample bytes
+ * @param {Uint8Array[]} parts - PCM data in playback order
+ * @param {{sampleRate: number, channels: number, bitsPerSample: number}} format
+ * @returns {Blob} WAV file
+ */
+export function buildWav(parts, { sampleRate, channels, bitsPerSample }) {
+    const dataSize = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    const header = new ArrayBuffer(44);
+    const view = new DataView(header);
+    const writeTag = (offset, text) => {
+        for (let i = 0; i < 4; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    const blockAlign = channels * bitsPerSample / 8;
+
+    writeTag(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeTag(8, 'WAVE');
+    writeTag(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitsPerSample, true);
+    writeTag(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    return new Blob([header, ...parts], { type: 'audio/wav' });
+}
+
+/**
+ * Concatenate WAV files that share the same format into one file
+ * @param {ArrayBuffer[]} buffers - Complete WAV files in playback order
+ * @returns {Blob} Combined WAV file
+ */
+export function concatWav(buffers) {
+    if (buffers.length === 0) {
+        throw new Error('No WAV files to concatenate');
+    }
+
+    const parsed = buffers.map(parseWav);
+    const { sampleRate, channels, bitsPerSample } = parsed[0];
+    for (const wav of parsed) {
+        if (wav.sampleRate !== sampleRate || wav.channels !== channels || wav.bitsPerSample !== bitsPerSample) {
+            throw new Error('Cannot concatenate WAV files with different formats');
+        }
+    }
+
+    return buildWav(parsed.map(wav => wav.data), { sampleRate, channels, bitsPerSample });
+}
@@ -0,0 +1,112 @@
+// Runs on the audio rendering thread. Plays mono samples posted by PcmPlayer from a ring buffer,
+// resampling from the stream rate to the context rate. Positions are counted in stream frames.
+
+const POSITION_REPORTS_PER_SECOND = 20;
+
+class PcmPlayerProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.ring = new Float32Array(0);
+        this.ratio = 1; // Stream frames per output frame
+        this.position = 0; // Read position, fractional between samples
+        this.writeEnd = 0; // Frame after the last sample received
+        this.playing = false;
+        this.ending = false; // No samples will follow the ones queued
+        this.closed = false;
+        this.sinceReport = 0;
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'format':
+                this.ring = new Float32Array(Math.ceil(message.sampleRate * message.seconds));
+                this.ratio = message.sampleRate / sampleRate;
+                this.position = 0;
+                this.writeEnd = 0;
+                this.ending = false;
+                break;
+            case 'samples': {
+                // Samples queued before a seek arrive after it, and no longer line up
+                if (message.start !== this.writeEnd) return;
+                const { samples } = message;
+                for (let i = 0; i < samples.length; i++) {
+                    this.ring[(message.start + i) % this.ring.length] = samples[i];
+                }
+                this.writeEnd += samples.length;
+                break;
+            }
+            case 'seek':
+                this.position = message.frame;
+                this.writeEnd = message.frame;
+                this.ending = false;
+                break;
+            case 'truncate':
+                this.writeEnd = Math.min(this.writeEnd, message.frame);
+                this.position = Math.min(this.position, this.writeEnd);
+                break;
+            case 'end':
+                this.ending = true;
+                break;
+            case 'play':
+                this.playing = true;
+                break;
+            case 'pause':
+                this.playing = false;
+                this.report();
+                break;
+            case 'close':
+                this.closed = true;
+                break;
+        }
+    }
+
+    report() {
+        this.sinceReport = 0;
+        this.port.postMessage({ type: 'position', frame: this.position });
+    }
+
+    process(inputs, outputs) {
+        if (this.closed) return false;
+
+        const output = outputs[0];
+        const channel = output[0];
+        if (!channel) return true;
+
+        const ring = this.ring;
+        for (let i = 0; i < channel.length; i++) {
+            const index = Math.floor(this.position);
+            if (!this.playing || index + 1 >= this.writeEnd) {
+                // Paused, or waiting on the network
+                channel[i] = 0;
+                continue;
+            }
+            const fraction = this.position - index;
+            const current = ring[index % ring.length];
+            const next = ring[(index + 1) % ring.length];
+            channel[i] = current + (next - current) * fraction;
+            this.position += this.ratio;
+        }
+        for (let c = 1; c < output.length; c++) {
+            output[c].set(channel);
+        }
+
+        if (this.playing && this.ending && Math.floor(this.position) + 1 >= this.writeEnd) {
+            this.playing = false;
+            this.position = this.writeEnd;
+            this.report();
+            this.port.postMessage({ type: 'ended' });
+            return true;
+        }
+
+        if (this.playing) {
+            this.sinceReport += channel.length;
+            if (this.sinceReport >= sampleRate / POSITION_REPORTS_PER_SECOND) {
+                this.report();
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-player', PcmPlayerProcessor);